@@ -0,0 +1,119 @@
+/**
+ * Budget proration (Apps Script)
+ * - Spreads a campaign budget over the days from its start to its end date, evenly or by
+ *   weekday weights, so a campaign running over three months is not counted three times.
+ * - Returns per-day or per-month allocations, optionally clipped to a date window.
+ *
+ * Plain functions with no sheet access; webapp1/app1, app2 and app3 carry copies of this file.
+ */
+
+const BUDGET_PRORATION_MODES = ['even', 'weekday'];
+// Sunday first, like Date.getDay(): a weekend day gets half the spend of a weekday.
+const BUDGET_WEEKDAY_WEIGHTS = [0.5, 1, 1, 1, 1, 1, 0.5];
+const BUDGET_PRORATION_MAX_DAYS = 3660;
+
+/**
+ * Allocate a budget over the days from startDate to endDate (both included).
+ *
+ * @param {number} budget
+ * @param {Date|string|number} startDate
+ * @param {Date|string|number} endDate
+ * @param {Object=} options {
+ *   mode?: 'even' | 'weekday'   // default 'even'
+ *   weights?: number[]          // weekday mode: 7 weights, Sunday first (default BUDGET_WEEKDAY_WEIGHTS)
+ *   by?: 'day' | 'month'        // default 'month'
+ *   from?: Date, to?: Date      // only the days inside this window
+ * }
+ * @return {Array<{ period: string, start: Date, end: Date, amount: number }>}
+ *   period is 'yyyy-mm-dd' or 'yyyy-mm'; start/end are the first and last allocated day
+ */
+function prorateBudget(budget, startDate, endDate, options) {
+  const opts = normalizeBudgetProration_(options);
+  const amount = Number(budget);
+  if (typeof budget !== 'number' || !isFinite(amount)) {
+    throw new Error(`Budget must be a number. Got "${budget}".`);
+  }
+  const start = toBudgetDay_(startDate, 'Start date');
+  const end = toBudgetDay_(endDate, 'End date');
+  if (end < start) {
+    throw new Error(`End date ${formatBudgetDay_(end)} is before start date ${formatBudgetDay_(start)}.`);
+  }
+
+  const days = [];
+  for (let day = start; day <= end; day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)) {
+    if (days.length >= BUDGET_PRORATION_MAX_DAYS) {
+      throw new Error(`Campaign from ${formatBudgetDay_(start)} to ${formatBudgetDay_(end)} is longer than ` +
+        `${BUDGET_PRORATION_MAX_DAYS} days.`);
+    }
+    days.push({ day, weight: opts.mode === 'weekday' ? opts.weights[day.getDay()] : 1 });
+  }
+  let total = days.reduce((sum, d) => sum + d.weight, 0);
+  if (total === 0) { // e.g. a weekend-only campaign with zero weekend weights
+    days.forEach(d => { d.weight = 1; });
+    total = days.length;
+  }
+
+  const from = opts.from ? toBudgetDay_(opts.from, 'Window start') : null;
+  const to = opts.to ? toBudgetDay_(opts.to, 'Window end') : null;
+  const periods = new Map();
+  days.forEach(d => {
+    if ((from && d.day < from) || (to && d.day > to)) return;
+    const period = opts.by === 'day' ? formatBudgetDay_(d.day) : formatBudgetDay_(d.day).slice(0, 7);
+    const share = amount * d.weight / total;
+    const entry = periods.get(period);
+    if (entry) {
+      entry.end = d.day;
+      entry.amount += share;
+    } else {
+      periods.set(period, { period, start: d.day, end: d.day, amount: share });
+    }
+  });
+  return Array.from(periods.values());
+}
+
+/**
+ * The part of a budget that falls between windowStart and windowEnd.
+ */
+function prorateBudgetInWindow(budget, startDate, endDate, windowStart, windowEnd, options) {
+  const opts = Object.assign({}, options, { by: 'month', from: windowStart, to: windowEnd });
+  return prorateBudget(budget, startDate, endDate, opts).reduce((sum, p) => sum + p.amount, 0);
+}
+
+function normalizeBudgetProration_(options) {
+  const opts = typeof options === 'string' ? { mode: options } : Object.assign({}, options);
+  opts.mode = String(opts.mode || 'even').trim().toLowerCase();
+  if (BUDGET_PRORATION_MODES.indexOf(opts.mode) === -1) {
+    throw new Error(`Unsupported proration mode "${opts.mode}". Use one of ${BUDGET_PRORATION_MODES.join(', ')}.`);
+  }
+  opts.by = String(opts.by || 'month').trim().toLowerCase();
+  if (opts.by !== 'day' && opts.by !== 'month') {
+    throw new Error(`Unsupported proration period "${opts.by}". Use day or month.`);
+  }
+  if (opts.mode === 'weekday') {
+    const weights = opts.weights || BUDGET_WEEKDAY_WEIGHTS;
+    if (!Array.isArray(weights) || weights.length !== 7 ||
+        weights.some(w => typeof w !== 'number' || !(w >= 0))) {
+      throw new Error('weights must be 7 numbers of 0 or more, Sunday first.');
+    }
+    opts.weights = weights;
+  }
+  return opts;
+}
+
+// Midnight of the given day in the script's time zone; 'yyyy-mm-dd' strings are local dates.
+function toBudgetDay_(value, label) {
+  let date = null;
+  const m = typeof value === 'string' ? /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value.trim()) : null;
+  if (m) {
+    date = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  } else if (value != null && value !== '') {
+    date = new Date(value);
+  }
+  if (!date || isNaN(date)) throw new Error(`${label} is not a date: "${value}".`);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function formatBudgetDay_(date) {
+  const pad = n => (n < 10 ? '0' : '') + n;
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
@@ -0,0 +1,740 @@
+/**
+ * Full Dashboard charts (Apps Script)
+ * - The dashboard is a list of chart definitions (DASHBOARD_CHARTS); the "Full Dashboard"
+ *   sheet of dev004.js / dev005.js / dev006_pv-dashboard.js is built from it.
+ * - One aggregator turns the source rows into a table per chart, one renderer writes
+ *   each table and inserts its chart. Adding a chart means adding a definition.
+ * - The aggregates can also keep each row's contribution, so an edit updates only the
+ *   edited rows and redraws only the charts they change (createDashboardAggregates).
+ * - A customized list can be saved as JSON in the document properties.
+ * - Budget charts can prorate each campaign's budget over its days (BudgetProration.js)
+ *   instead of counting all of it in every month the campaign touches.
+ * - Fields are found by header name (ColumnMapping.js); callers resolve them once from the
+ *   source header row and pass them as options.columns.
+ *
+ * Chart definition:
+ * {
+ *   id: string                 // unique, also the key of its table
+ *   title: string              // '{window}' is replaced by the window's label, e.g. 'August 2025'
+ *   chartType: string          // Charts.ChartType name: 'BAR', 'COLUMN', 'PIE', 'LINE', ...
+ *   dimension: string          // field the rows are grouped by (one of DASHBOARD_FIELDS),
+ *                              // or 'month' to group prorated amounts by 'yyyy-mm'
+ *   dimensionLabel?: string    // header of the first table column (default: dimension)
+ *   measure?: string           // field that is summarized; omit to count rows
+ *   aggregation?: string       // 'SUM' | 'COUNT' | 'AVERAGE' | 'MIN' | 'MAX' (default 'SUM', or 'COUNT' without measure)
+ *   measureLabel?: string      // header of the value column (ignored with series)
+ *   series?: string            // field split into one value column per distinct value
+ *   prorate?: 'even' | 'weekday' | { mode, weights }
+ *                              // SUM only the measure's share of the days inside the window
+ *   window?: see below         // only rows whose start..end dates overlap it (default: every row)
+ *   data: { row: number, column: number }      // where the table is written (1-based)
+ *   position: { row: number, column: number }  // chart anchor cell (1-based)
+ *   options?: object           // extra chart options, e.g. { pieHole: 0.4, hAxis: {...} }
+ * }
+ *
+ * Windows are relative to the reporting date: today, or the last day of the reporting
+ * month picked from the Dashboard menu.
+ *   'currentMonth'                           the reporting month, first to last day
+ *   'previousMonth'                          the month before it
+ *   'quarterToDate'                          first day of its quarter to the reporting date
+ *   { lastDays: n }                          the n days ending on the reporting date
+ *   { start: 'yyyy-mm-dd', end: 'yyyy-mm-dd' }  a fixed range
+ */
+
+// Fields of "Weekly log_Thomas W" the dashboard needs (see COLUMN_ALIASES)
+const DASHBOARD_FIELDS = ['client', 'platform', 'adFormat', 'budget', 'campaignType', 'frequency', 'startDate', 'endDate'];
+
+const DASHBOARD_AGGREGATIONS = ['SUM', 'COUNT', 'AVERAGE', 'MIN', 'MAX'];
+const DASHBOARD_MONTH_DIMENSION = 'month';
+const BUDGET_ALLOCATION_SHEET_NAME = 'Budget Allocation';
+const DASHBOARD_CHARTS_KEY = 'DASHBOARD_CHARTS';
+const DASHBOARD_MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+const DASHBOARD_CHARTS = [
+  {
+    id: 'budgetByCampaignType',
+    title: 'Monthly Budget by Campaign Type ({window})',
+    chartType: 'BAR',
+    dimension: 'campaignType',
+    dimensionLabel: 'Campaign Type',
+    measure: 'budget',
+    aggregation: 'SUM',
+    measureLabel: 'Budget',
+    window: 'currentMonth',
+    prorate: 'even',
+    data: { row: 1, column: 1 },
+    position: { row: 2, column: 3 },
+    options: {
+      hAxis: { title: 'Total Meta Budget', format: 'short' },
+      vAxis: { title: 'Campaign Type' },
+      series: { 0: { dataLabel: 'value' } }
+    }
+  },
+  {
+    id: 'campaignsByClient',
+    title: 'Campaigns by Client',
+    chartType: 'PIE',
+    dimension: 'client',
+    dimensionLabel: 'Client',
+    aggregation: 'COUNT',
+    measureLabel: 'Number of Campaigns',
+    data: { row: 1, column: 10 },
+    position: { row: 2, column: 12 },
+    options: { pieHole: 0.4 }
+  },
+  {
+    id: 'frequencyByClient',
+    title: 'Frequency by Client',
+    chartType: 'COLUMN',
+    dimension: 'client',
+    dimensionLabel: 'Client',
+    series: 'frequency',
+    aggregation: 'COUNT',
+    data: { row: 25, column: 1 },
+    position: { row: 25, column: 3 },
+    options: { isStacked: 'true', hAxis: { title: 'Client' }, vAxis: { title: 'Count' } }
+  },
+  {
+    id: 'budgetByAdFormat',
+    title: 'Monthly Budget by Ad Format ({window})',
+    chartType: 'BAR',
+    dimension: 'adFormat',
+    dimensionLabel: 'Ad Format',
+    measure: 'budget',
+    aggregation: 'SUM',
+    measureLabel: 'Budget',
+    window: 'currentMonth',
+    prorate: 'even',
+    data: { row: 25, column: 10 },
+    position: { row: 25, column: 12 },
+    options: {
+      hAxis: { title: 'Total Meta Budget', format: 'short' },
+      vAxis: { title: 'Ad Format' },
+      series: { 0: { dataLabel: 'value' } }
+    }
+  }
+];
+
+/**
+ * The dashboard definition: the saved list if there is one, otherwise DASHBOARD_CHARTS.
+ */
+function getDashboardCharts() {
+  const raw = PropertiesService.getDocumentProperties().getProperty(DASHBOARD_CHARTS_KEY);
+  if (raw == null) return DASHBOARD_CHARTS;
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    throw new Error(`Saved dashboard definition is not valid JSON: ${e.message}`);
+  }
+}
+
+/**
+ * Save a dashboard definition (array or JSON string) after checking every chart.
+ * Pass null to go back to DASHBOARD_CHARTS.
+ */
+function saveDashboardCharts(charts) {
+  const props = PropertiesService.getDocumentProperties();
+  if (charts == null) {
+    props.deleteProperty(DASHBOARD_CHARTS_KEY);
+    return;
+  }
+  const list = typeof charts === 'string' ? JSON.parse(charts) : charts;
+  normalizeDashboardCharts_(list);
+  props.setProperty(DASHBOARD_CHARTS_KEY, JSON.stringify(list));
+}
+
+/**
+ * Aggregate the source rows (header row removed) for every chart in one pass.
+ *
+ * @param {Array<Array<*>>} data
+ * @param {Array<Object>=} charts dashboard definition (default: getDashboardCharts())
+ * @param {{ columns: Object<string, number>, reportMonth?: string, now?: Date }} options
+ *   columns: field -> 0-based column, from resolveColumnMapping(headerRow, DASHBOARD_FIELDS)
+ *   reportMonth: 'yyyy-mm' the windows are relative to (default: the month of now)
+ *   now: today's date (default: new Date())
+ * @return {Object<string, Array<Array<*>>>} chart id -> table, header row first
+ */
+function aggregateDashboardCharts(data, charts, options) {
+  const states = dashboardStates_(charts, options);
+  data.forEach(row => {
+    states.forEach(state => addDashboardRow_(state, row));
+  });
+
+  const tables = {};
+  states.forEach(state => {
+    tables[state.spec.id] = dashboardTable_(state);
+  });
+  return tables;
+}
+
+/**
+ * Aggregates that can be updated row by row: every source row's contribution to each chart
+ * is kept next to the totals, so an edit takes the row's old contribution out and adds its
+ * new one without reading the other rows again. The result is plain JSON and can be cached.
+ *
+ * @param {Array<Array<*>>} data source rows, header row removed
+ * @param {Array<Object>=} charts
+ * @param {{ columns: Object<string, number>, reportMonth?: string, now?: Date, firstRow?: number }} options
+ *   as for aggregateDashboardCharts; firstRow is the sheet row of data[0] (default 2).
+ *   Rows are keyed by sheet row number.
+ * @return {{ key: string, rows: Object, charts: Object }} for updateDashboardAggregates and dashboardAggregateTables
+ */
+function createDashboardAggregates(data, charts, options) {
+  const states = dashboardStates_(charts, options);
+  const firstRow = (options && options.firstRow) || 2;
+  const aggregates = { key: dashboardAggregatesKey_(states), rows: {}, charts: {} };
+  states.forEach(state => {
+    aggregates.charts[state.spec.id] = { groups: [], series: [] };
+  });
+  data.forEach((row, i) => {
+    const contributions = dashboardRowContributions_(states, row);
+    if (!Object.keys(contributions).length) return;
+    aggregates.rows[firstRow + i] = contributions;
+    states.forEach(state => {
+      addDashboardEntries_(aggregates.charts[state.spec.id], state.spec, contributions[state.spec.id], 1);
+    });
+  });
+  return aggregates;
+}
+
+/**
+ * Apply edited rows to aggregates from createDashboardAggregates (in place).
+ * MIN and MAX cannot take a value back out, so those charts are re-totalled from the
+ * stored contributions.
+ *
+ * @param {Object} aggregates
+ * @param {Object<number, Array<*>|null>} rows sheet row number -> its new values (null: row is gone)
+ * @param {Array<Object>=} charts
+ * @param {Object} options as for createDashboardAggregates
+ * @return {string[]|null} ids of the charts whose table changed (in definition order), or null when the aggregates
+ *   were built for another definition, column mapping or window and must be rebuilt
+ */
+function updateDashboardAggregates(aggregates, rows, charts, options) {
+  const states = dashboardStates_(charts, options);
+  if (!aggregates || aggregates.key !== dashboardAggregatesKey_(states)) return null;
+
+  const changed = [];
+  Object.keys(rows).forEach(rowNumber => {
+    const before = aggregates.rows[rowNumber] || {};
+    const after = rows[rowNumber] ? dashboardRowContributions_(states, rows[rowNumber]) : {};
+    states.forEach(state => {
+      const id = state.spec.id;
+      if (JSON.stringify(before[id] || []) === JSON.stringify(after[id] || [])) return;
+      if (changed.indexOf(id) === -1) changed.push(id);
+      addDashboardEntries_(aggregates.charts[id], state.spec, before[id], -1);
+      addDashboardEntries_(aggregates.charts[id], state.spec, after[id], 1);
+    });
+    if (Object.keys(after).length) aggregates.rows[rowNumber] = after;
+    else delete aggregates.rows[rowNumber];
+  });
+
+  states.forEach(state => {
+    const id = state.spec.id;
+    if (changed.indexOf(id) === -1 || (state.spec.aggregation !== 'MIN' && state.spec.aggregation !== 'MAX')) return;
+    const chart = aggregates.charts[id] = { groups: [], series: [] };
+    Object.keys(aggregates.rows).sort((a, b) => a - b).forEach(rowNumber => {
+      addDashboardEntries_(chart, state.spec, aggregates.rows[rowNumber][id], 1);
+    });
+  });
+  return states.map(state => state.spec.id).filter(id => changed.indexOf(id) !== -1);
+}
+
+/**
+ * Tables of aggregates from createDashboardAggregates, as aggregateDashboardCharts returns them.
+ * Groups that edits added come last.
+ */
+function dashboardAggregateTables(aggregates, charts) {
+  const tables = {};
+  normalizeDashboardCharts_(charts || getDashboardCharts()).forEach(spec => {
+    const chart = aggregates.charts[spec.id];
+    if (!chart) return;
+    const series = spec.series ? chart.series : [''];
+    const header = [spec.dimensionLabel].concat(spec.series ? series : [spec.measureLabel]);
+    const groups = chart.groups.slice();
+    if (spec.dimension === DASHBOARD_MONTH_DIMENSION) groups.sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+    tables[spec.id] = [header].concat(groups.map(group => [group[0]].concat(series.map(seriesKey => {
+      const cell = group[1][dashboardKey_(seriesKey)];
+      return cell ? summarizeDashboardCell_(spec.aggregation, cell) : 0;
+    }))));
+  });
+  return tables;
+}
+
+/**
+ * Write each chart's table and insert its chart. Charts with no rows are skipped.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet a cleared dashboard sheet
+ * @param {Object<string, Array<Array<*>>>} tables from aggregateDashboardCharts
+ * @param {Array<Object>=} charts the definition the tables were built from
+ * @param {Object=} options the options the tables were built with (for the titles)
+ */
+function renderDashboardCharts(sheet, tables, charts, options) {
+  const reportDate = dashboardReportDate_(options);
+  normalizeDashboardCharts_(charts || getDashboardCharts()).forEach(spec => {
+    renderDashboardChart_(sheet, spec, tables[spec.id], reportDate);
+  });
+}
+
+/**
+ * Redraw some charts of a rendered dashboard: clear each one's old table, write the new one
+ * and replace its chart (found by its anchor cell). The other charts are left alone.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ * @param {Object<string, Array<Array<*>>>} tables the new tables
+ * @param {Object<string, Array<Array<*>>>} previousTables the tables the sheet shows now
+ * @param {string[]} chartIds
+ * @param {Array<Object>=} charts
+ * @param {Object=} options
+ */
+function refreshDashboardCharts(sheet, tables, previousTables, chartIds, charts, options) {
+  const reportDate = dashboardReportDate_(options);
+  normalizeDashboardCharts_(charts || getDashboardCharts()).forEach(spec => {
+    if (chartIds.indexOf(spec.id) === -1) return;
+    const previous = previousTables[spec.id];
+    if (previous && previous.length) {
+      sheet.getRange(spec.data.row, spec.data.column, previous.length, previous[0].length).clearContent();
+    }
+    sheet.getCharts().forEach(chart => {
+      const info = chart.getContainerInfo();
+      if (info.getAnchorRow() === spec.position.row && info.getAnchorColumn() === spec.position.column) {
+        sheet.removeChart(chart);
+      }
+    });
+    renderDashboardChart_(sheet, spec, tables[spec.id], reportDate);
+  });
+}
+
+/**
+ * Aggregate data and render the whole definition on the dashboard sheet.
+ */
+function buildDashboardCharts(sheet, data, charts, options) {
+  const specs = charts || getDashboardCharts();
+  renderDashboardCharts(sheet, aggregateDashboardCharts(data, specs, options), specs, options);
+}
+
+/**
+ * Menu item: ask for a reporting month and refresh the dashboard for it.
+ * Calls the createFullDashboard of the dashboard script with { reportMonth }.
+ */
+function promptDashboardReportMonth() {
+  const ui = SpreadsheetApp.getUi();
+  const response = ui.prompt('Refresh Dashboard for Month',
+    'Reporting month as yyyy-mm (e.g. 2025-08). Leave empty for this month.', ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+
+  const text = response.getResponseText().trim();
+  if (text && !parseDashboardMonth_(text)) {
+    ui.alert(`"${text}" is not a month. Use yyyy-mm, e.g. 2025-08.`);
+    return;
+  }
+  createFullDashboard(text ? { reportMonth: text } : {});
+}
+
+/**
+ * One row per campaign and month (or day) with its prorated share of the budget, for
+ * pivots that should not count a campaign's whole budget in every month.
+ *
+ * @param {Array<Array<*>>} data source rows, header row removed
+ * @param {{ columns: Object<string, number>, mode?: string, weights?: number[], by?: 'day'|'month' }} options
+ *   columns as for aggregateDashboardCharts; the rest as for prorateBudget
+ * @return {Array<Array<*>>} header row first
+ */
+function buildBudgetAllocationTable(data, options) {
+  const columns = dashboardColumns_(options);
+  const opts = Object.assign({ by: 'month' }, options);
+  delete opts.columns;
+  const table = [[opts.by === 'day' ? 'Day' : 'Month', 'Client', 'Platform', 'Ad Format', 'Campaign Type', 'Allocated Budget']];
+  data.forEach(row => {
+    const budget = row[columns.budget];
+    const start = new Date(row[columns.startDate]);
+    const end = new Date(row[columns.endDate]);
+    if (typeof budget !== 'number' || isNaN(start) || isNaN(end) || end < start) return;
+    prorateBudget(budget, start, end, opts).forEach(p => {
+      table.push([p.period, row[columns.client], row[columns.platform],
+        row[columns.adFormat], row[columns.campaignType], p.amount]);
+    });
+  });
+  return table;
+}
+
+/**
+ * Rewrite the "Budget Allocation" sheet from the dashboard's source sheet.
+ * Build pivots on it to sum budgets by month without double counting.
+ */
+function writeBudgetAllocationSheet(options) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sourceSheet = ss.getSheetByName(SOURCE_SHEET_NAME);
+  if (!sourceSheet) throw new Error(`Source sheet "${SOURCE_SHEET_NAME}" not found.`);
+  const data = sourceSheet.getDataRange().getValues();
+  const columns = resolveColumnMapping(data.shift(), DASHBOARD_FIELDS, { sheetName: SOURCE_SHEET_NAME });
+  const table = buildBudgetAllocationTable(data, Object.assign({}, options, { columns }));
+
+  const sheet = ss.getSheetByName(BUDGET_ALLOCATION_SHEET_NAME) || ss.insertSheet(BUDGET_ALLOCATION_SHEET_NAME);
+  sheet.clear();
+  sheet.getRange(1, 1, table.length, table[0].length).setValues(table);
+  sheet.setFrozenRows(1);
+  return { sheetName: BUDGET_ALLOCATION_SHEET_NAME, rows: table.length - 1 };
+}
+
+function normalizeDashboardCharts_(charts) {
+  if (!Array.isArray(charts)) {
+    throw new Error('Dashboard definition must be an array of charts.');
+  }
+  const seen = {};
+  return charts.map((chart, i) => {
+    const spec = normalizeDashboardChart_(chart, i);
+    if (seen[spec.id]) throw new Error(`Duplicate dashboard chart id "${spec.id}".`);
+    seen[spec.id] = true;
+    return spec;
+  });
+}
+
+function normalizeDashboardChart_(chart, index) {
+  if (!chart || typeof chart !== 'object') {
+    throw new Error(`Dashboard chart #${index + 1} must be an object.`);
+  }
+  const id = String(chart.id || '').trim();
+  if (!id) throw new Error(`Dashboard chart #${index + 1} needs an id.`);
+
+  const chartType = String(chart.chartType || '').trim().toUpperCase();
+  if (!chartType) throw new Error(`Dashboard chart "${id}" needs a chartType.`);
+  if (typeof Charts !== 'undefined' && !Charts.ChartType[chartType]) {
+    throw new Error(`Dashboard chart "${id}": unsupported chartType "${chart.chartType}".`);
+  }
+
+  if (chart.dimension !== DASHBOARD_MONTH_DIMENSION) checkDashboardField_(chart.dimension, id, 'dimension');
+  if (chart.measure != null) checkDashboardField_(chart.measure, id, 'measure');
+  if (chart.series != null) checkDashboardField_(chart.series, id, 'series');
+
+  const aggregation = String(chart.aggregation || (chart.measure == null ? 'COUNT' : 'SUM')).trim().toUpperCase();
+  if (DASHBOARD_AGGREGATIONS.indexOf(aggregation) === -1) {
+    throw new Error(`Dashboard chart "${id}": unsupported aggregation "${chart.aggregation}". ` +
+      `Use one of ${DASHBOARD_AGGREGATIONS.join(', ')}.`);
+  }
+  if (aggregation !== 'COUNT' && chart.measure == null) {
+    throw new Error(`Dashboard chart "${id}": ${aggregation} needs a measure.`);
+  }
+  if (chart.prorate != null) {
+    if (aggregation !== 'SUM') throw new Error(`Dashboard chart "${id}": prorate needs aggregation SUM.`);
+    normalizeBudgetProration_(chart.prorate);
+  } else if (chart.dimension === DASHBOARD_MONTH_DIMENSION) {
+    throw new Error(`Dashboard chart "${id}": the month dimension needs prorate.`);
+  }
+
+  dashboardWindow_(chart.window, new Date(), id);
+  return {
+    id,
+    title: String(chart.title || id),
+    chartType,
+    dimension: chart.dimension,
+    dimensionLabel: chart.dimensionLabel || chart.dimension,
+    measure: chart.measure == null ? null : chart.measure,
+    aggregation,
+    measureLabel: chart.measureLabel || (chart.measure == null ? 'Count' : chart.measure),
+    series: chart.series == null ? null : chart.series,
+    prorate: chart.prorate == null ? null : chart.prorate,
+    window: chart.window == null ? null : chart.window,
+    data: dashboardCell_(chart.data, id, 'data'),
+    position: dashboardCell_(chart.position, id, 'position'),
+    options: chart.options || {}
+  };
+}
+
+function dashboardStates_(charts, options) {
+  const specs = normalizeDashboardCharts_(charts || getDashboardCharts());
+  const columns = dashboardColumns_(options);
+  const reportDate = dashboardReportDate_(options);
+  return specs.map(spec => ({
+    spec,
+    columns,
+    window: dashboardWindow_(spec.window, reportDate, spec.id),
+    groups: new Map(),
+    seriesKeys: []
+  }));
+}
+
+function renderDashboardChart_(sheet, spec, table, reportDate) {
+  if (!table || table.length <= 1) return;
+  const dataRange = sheet.getRange(spec.data.row, spec.data.column, table.length, table[0].length)
+    .setValues(table);
+  const title = dashboardChartTitle_(spec, dashboardWindow_(spec.window, reportDate, spec.id));
+  let builder = sheet.newChart().setChartType(Charts.ChartType[spec.chartType]).addRange(dataRange)
+    .setOption('title', title).setOption('titleTextStyle', { fontSize: 16, bold: true });
+  Object.keys(spec.options).forEach(key => {
+    builder = builder.setOption(key, spec.options[key]);
+  });
+  sheet.insertChart(builder.setPosition(spec.position.row, spec.position.column, 0, 0).build());
+}
+
+function checkDashboardField_(field, chartId, key) {
+  if (DASHBOARD_FIELDS.indexOf(field) === -1) {
+    throw new Error(`Dashboard chart "${chartId}": unknown ${key} field "${field}". ` +
+      `Use one of ${DASHBOARD_FIELDS.join(', ')}.`);
+  }
+}
+
+function dashboardColumns_(options) {
+  const columns = options && options.columns;
+  if (!columns) {
+    throw new Error('options.columns is required. Resolve it with resolveColumnMapping(headerRow, DASHBOARD_FIELDS).');
+  }
+  return columns;
+}
+
+function dashboardCell_(cell, chartId, key) {
+  const row = cell && Number(cell.row);
+  const column = cell && Number(cell.column);
+  if (!(row >= 1 && column >= 1) || row % 1 !== 0 || column % 1 !== 0) {
+    throw new Error(`Dashboard chart "${chartId}": ${key} needs a 1-based { row, column }.`);
+  }
+  return { row, column };
+}
+
+/**
+ * The date relative windows end on: today, or the last day of options.reportMonth
+ * unless that is the current month.
+ */
+function dashboardReportDate_(options) {
+  const opts = options || {};
+  const today = opts.now ? new Date(opts.now.getTime()) : new Date();
+  if (!opts.reportMonth) return today;
+
+  const month = parseDashboardMonth_(opts.reportMonth);
+  if (!month) throw new Error(`Unsupported reportMonth "${opts.reportMonth}". Use yyyy-mm, e.g. 2025-08.`);
+  const inMonth = today.getFullYear() === month.getFullYear() && today.getMonth() === month.getMonth();
+  return inMonth ? today : new Date(month.getFullYear(), month.getMonth() + 1, 0);
+}
+
+/**
+ * { start, end, label } of a window spec, end inclusive to the last millisecond;
+ * null for no window.
+ */
+function dashboardWindow_(windowSpec, reportDate, chartId) {
+  if (windowSpec == null) return null;
+  const y = reportDate.getFullYear();
+  const m = reportDate.getMonth();
+  const endOfReportDay = new Date(y, m, reportDate.getDate(), 23, 59, 59, 999);
+
+  if (windowSpec === 'currentMonth' || windowSpec === 'previousMonth') {
+    const offset = windowSpec === 'currentMonth' ? 0 : -1;
+    const start = new Date(y, m + offset, 1);
+    return {
+      start,
+      end: new Date(y, m + offset + 1, 0, 23, 59, 59, 999),
+      label: `${DASHBOARD_MONTHS[start.getMonth()]} ${start.getFullYear()}`
+    };
+  }
+  if (windowSpec === 'quarterToDate') {
+    const quarter = Math.floor(m / 3);
+    return { start: new Date(y, quarter * 3, 1), end: endOfReportDay, label: `Q${quarter + 1} ${y} to Date` };
+  }
+  if (windowSpec && typeof windowSpec === 'object' && windowSpec.lastDays != null) {
+    const days = Number(windowSpec.lastDays);
+    if (days >= 1 && days % 1 === 0) {
+      return {
+        start: new Date(y, m, reportDate.getDate() - days + 1),
+        end: endOfReportDay,
+        label: days === 1 ? 'Last Day' : `Last ${days} Days`
+      };
+    }
+  }
+  if (windowSpec && typeof windowSpec === 'object' && windowSpec.start && windowSpec.end) {
+    const start = parseDashboardDate_(windowSpec.start);
+    const end = parseDashboardDate_(windowSpec.end);
+    if (start && end && start <= end) {
+      end.setHours(23, 59, 59, 999);
+      return { start, end, label: dashboardRangeLabel_(start, end) };
+    }
+  }
+  throw new Error(`Dashboard chart "${chartId}": unsupported window ${JSON.stringify(windowSpec)}. ` +
+    `Use 'currentMonth', 'previousMonth', 'quarterToDate', { lastDays: n } ` +
+    `or { start: 'yyyy-mm-dd', end: 'yyyy-mm-dd' }.`);
+}
+
+// A whole calendar month reads as 'August 2025', anything else as 'Aug 1 – Sep 15, 2025'.
+function dashboardRangeLabel_(start, end) {
+  const lastOfMonth = new Date(start.getFullYear(), start.getMonth() + 1, 0);
+  if (start.getDate() === 1 && end.getFullYear() === start.getFullYear() &&
+      end.getMonth() === start.getMonth() && end.getDate() === lastOfMonth.getDate()) {
+    return `${DASHBOARD_MONTHS[start.getMonth()]} ${start.getFullYear()}`;
+  }
+  const day = d => `${DASHBOARD_MONTHS[d.getMonth()].slice(0, 3)} ${d.getDate()}`;
+  return start.getFullYear() === end.getFullYear()
+    ? `${day(start)} – ${day(end)}, ${end.getFullYear()}`
+    : `${day(start)}, ${start.getFullYear()} – ${day(end)}, ${end.getFullYear()}`;
+}
+
+// Without a window, '{window}' and the brackets around it are dropped.
+function dashboardChartTitle_(spec, win) {
+  return win ? spec.title.replace(/\{window\}/g, win.label) : spec.title.replace(/\s*\(?\{window\}\)?/g, '');
+}
+
+// 'yyyy-mm' -> first day of that month, or null.
+function parseDashboardMonth_(value) {
+  const m = /^(\d{4})-(\d{1,2})$/.exec(String(value == null ? '' : value).trim());
+  if (!m || Number(m[2]) < 1 || Number(m[2]) > 12) return null;
+  return new Date(Number(m[1]), Number(m[2]) - 1, 1);
+}
+
+// 'yyyy-mm-dd' in the script's time zone (new Date('yyyy-mm-dd') would be UTC midnight).
+function parseDashboardDate_(value) {
+  if (value instanceof Date) return isNaN(value) ? null : new Date(value.getTime());
+  const m = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(String(value).trim());
+  if (!m) return null;
+  const date = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  return date.getMonth() === Number(m[2]) - 1 ? date : null;
+}
+
+function isDashboardLabel_(value) {
+  return typeof value === 'string' && value.trim() !== '' && value.trim().toUpperCase() !== 'N/A';
+}
+
+function addDashboardRow_(state, row) {
+  const entries = dashboardRowEntries_(state, row);
+  entries.forEach(entry => {
+    if (state.spec.series && state.seriesKeys.indexOf(entry[1]) === -1) state.seriesKeys.push(entry[1]);
+    if (!state.groups.has(entry[0])) state.groups.set(entry[0], new Map());
+    const cells = state.groups.get(entry[0]);
+    if (!cells.has(entry[1])) cells.set(entry[1], []);
+    cells.get(entry[1]).push(entry[2]);
+  });
+}
+
+// [group key, series key, value] per group the row counts in ('' series without spec.series)
+function dashboardRowEntries_(state, row) {
+  const spec = state.spec;
+  const byMonth = spec.dimension === DASHBOARD_MONTH_DIMENSION;
+  const columns = state.columns;
+  const key = byMonth ? null : row[columns[spec.dimension]];
+  if (!byMonth && !isDashboardLabel_(key)) return [];
+
+  const start = new Date(row[columns.startDate]);
+  const end = new Date(row[columns.endDate]);
+  if (state.window || spec.prorate) {
+    if (isNaN(start) || isNaN(end)) return [];
+    if (state.window && (start > state.window.end || end < state.window.start)) return [];
+  }
+
+  let seriesKey = '';
+  if (spec.series) {
+    seriesKey = row[columns[spec.series]];
+    if (!isDashboardLabel_(seriesKey)) return [];
+  }
+
+  let value = null;
+  if (spec.measure) {
+    value = row[columns[spec.measure]];
+    if (typeof value !== 'number') return [];
+  }
+
+  // [group key, value] pairs: one per month of the campaign when grouping by month
+  let entries = [[key, value]];
+  if (spec.prorate) {
+    if (end < start) return [];
+    let periods;
+    try {
+      periods = prorateBudget(value, start, end, Object.assign(
+        typeof spec.prorate === 'string' ? { mode: spec.prorate } : spec.prorate,
+        { by: 'month', from: state.window && state.window.start, to: state.window && state.window.end }));
+    } catch (e) {
+      // e.g. a campaign longer than BUDGET_PRORATION_MAX_DAYS: leave it out of this budget chart only
+      Logger.log(`Dashboard chart "${spec.id}" left out a row: ${e.message}`);
+      return [];
+    }
+    if (!periods.length) return [];
+    entries = byMonth
+      ? periods.map(p => [p.period, p.amount])
+      : [[key, periods.reduce((sum, p) => sum + p.amount, 0)]];
+  }
+
+  return entries.map(entry => [entry[0], seriesKey, entry[1]]);
+}
+
+// chart id -> entries, for the charts the row counts in
+function dashboardRowContributions_(states, row) {
+  const contributions = {};
+  states.forEach(state => {
+    const entries = dashboardRowEntries_(state, row);
+    if (entries.length) contributions[state.spec.id] = entries;
+  });
+  return contributions;
+}
+
+// Changes whenever a definition, the column mapping or a window does (e.g. a new month)
+function dashboardAggregatesKey_(states) {
+  return JSON.stringify(states.map(state => [state.spec, state.columns,
+    state.window && [state.window.start.getTime(), state.window.end.getTime()]]));
+}
+
+// Group and series keys are compared as JSON, since cached aggregates went through JSON
+function dashboardKey_(value) {
+  return JSON.stringify(value);
+}
+
+// Add (sign 1) or take out (sign -1) entries; cells are [sum, count, min, max]
+function addDashboardEntries_(chart, spec, entries, sign) {
+  (entries || []).forEach(entry => {
+    const groupKey = dashboardKey_(entry[0]);
+    const seriesKey = dashboardKey_(entry[1]);
+    const value = entry[2] == null ? 0 : entry[2];
+    let index = chart.groups.findIndex(group => dashboardKey_(group[0]) === groupKey);
+    if (index === -1) {
+      if (sign < 0) return;
+      index = chart.groups.push([entry[0], {}]) - 1;
+    }
+    const cells = chart.groups[index][1];
+    const cell = cells[seriesKey];
+    if (sign > 0) {
+      cells[seriesKey] = cell
+        ? [cell[0] + value, cell[1] + 1, Math.min(cell[2], value), Math.max(cell[3], value)]
+        : [value, 1, value, value];
+      if (spec.series && !chart.series.some(key => dashboardKey_(key) === seriesKey)) chart.series.push(entry[1]);
+      return;
+    }
+    if (!cell) return;
+    cell[0] -= value;
+    cell[1] -= 1;
+    if (cell[1] > 0) return;
+    delete cells[seriesKey];
+    if (!Object.keys(cells).length) chart.groups.splice(index, 1);
+    if (spec.series && !chart.groups.some(group => group[1][seriesKey])) {
+      chart.series = chart.series.filter(key => dashboardKey_(key) !== seriesKey);
+    }
+  });
+}
+
+function summarizeDashboardCell_(aggregation, cell) {
+  switch (aggregation) {
+    case 'COUNT': return cell[1];
+    case 'SUM': return cell[0];
+    case 'AVERAGE': return cell[0] / cell[1];
+    case 'MIN': return cell[2];
+    case 'MAX': return cell[3];
+  }
+  throw new Error(`Unsupported aggregation "${aggregation}".`);
+}
+
+function summarizeDashboardValues_(aggregation, values) {
+  if (!values || !values.length) return 0;
+  switch (aggregation) {
+    case 'COUNT': return values.length;
+    case 'SUM': return values.reduce((a, b) => a + b, 0);
+    case 'AVERAGE': return values.reduce((a, b) => a + b, 0) / values.length;
+    case 'MIN': return Math.min.apply(null, values);
+    case 'MAX': return Math.max.apply(null, values);
+  }
+  throw new Error(`Unsupported aggregation "${aggregation}".`);
+}
+
+function dashboardTable_(state) {
+  const spec = state.spec;
+  const columns = spec.series ? state.seriesKeys : [''];
+  const header = [spec.dimensionLabel].concat(spec.series ? columns : [spec.measureLabel]);
+  const keys = Array.from(state.groups.keys());
+  if (spec.dimension === DASHBOARD_MONTH_DIMENSION) keys.sort();
+  return [header].concat(keys.map(key => {
+    const cells = state.groups.get(key);
+    return [key].concat(columns.map(col => summarizeDashboardValues_(spec.aggregation, cells.get(col))));
+  }));
+}
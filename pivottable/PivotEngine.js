@@ -0,0 +1,548 @@
+/**
+ * In-memory pivot engine (plain JavaScript)
+ * - Computes a pivot from a 2-D values array (header row first) with the same rows, columns,
+ *   values and filters config as createPivotTable, without a pivot table in a sheet.
+ * - Reuses the config helpers in PivotTableBuilder.js (column references, group rules,
+ *   value and filter specs) and makes no SpreadsheetApp or Sheets calls, so it also runs
+ *   under Node.
+ */
+
+const PIVOT_ENGINE_MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const PIVOT_ENGINE_DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const PIVOT_FORMULA_ROW = 'ROW'; // compilePivotFormula_ field mode: one row's cell, not a summary
+
+/**
+ * Compute a pivot in memory.
+ *
+ * @param {Array<Array<*>>} values header row followed by data rows, e.g. range.getValues()
+ * @param {Object} config rows, columns, values, filters (and headerMatch) as for createPivotTable
+ * @param {Object=} options { now?: Date }  // "today" for relativeDate filters, default now
+ * @return {{
+ *   rowHeaders: string[],      // row group column names
+ *   columnHeaders: string[],   // column group column names
+ *   valueNames: string[],
+ *   columns: Array<{ keys: Array<string|number>, type: 'data'|'subtotal'|'total' }>,
+ *   rows: Array<{ keys: Array<string|number>, type: 'data'|'subtotal'|'total', cells: Array<Array<number|null>> }>,
+ *   matrix: Array<Array<*>>
+ * }}
+ *   rows[r].cells[c][v] is value v where row r meets column c. Without row (or column) groups
+ *   there is a single 'total' row (or column) with keys []. matrix lays the result out as a
+ *   sheet would show it with values side by side: column labels, then one line per row.
+ *   A cell with no source rows, or no numbers to summarize (e.g. AVERAGE of text), is null.
+ */
+function computePivot(values, config, options) {
+  if (!Array.isArray(values) || !Array.isArray(values[0])) {
+    throw new Error('computePivot expects a 2-D values array with a header row.');
+  }
+  const cfg = config || {};
+  const width = values[0].length;
+  const header = values[0].map(h => String(h == null ? '' : h).trim());
+  const sourceRange = { // what colRefToOffset_ needs from a Range, for columns A onwards
+    getColumn: () => 1,
+    getNumColumns: () => width,
+    getA1Notation: () => `A1:${colIndex1ToLetter_(width)}${values.length}`
+  };
+  const headerMap = buildHeaderMap_(values[0]);
+  const toOffset = (colRef) => colRefToOffset_(colRef, sourceRange, headerMap, cfg.headerMatch);
+
+  const valueSpecs = cfg.values || [];
+  const rowGroups = (cfg.rows || []).map(r => toPivotGroup_(toOffset(r.column), r, valueSpecs));
+  const colGroups = (cfg.columns || []).map(c => toPivotGroup_(toOffset(c.column), c, valueSpecs));
+  const measures = valueSpecs.map(v =>
+    toPivotMeasure_(buildPivotValue_(v, toOffset, headerMap, cfg.headerMatch), header, headerMap, cfg.headerMatch));
+  const filters = (cfg.filters || []).map(f => toPivotFilterSpec_(toOffset(f.column), f));
+  filters.forEach(f => {
+    if (f.filterCriteria.condition && f.filterCriteria.condition.type === 'CUSTOM_FORMULA') {
+      throw new Error('computePivot cannot evaluate CUSTOM_FORMULA filters.');
+    }
+  });
+
+  const now = (options && options.now) || new Date();
+  const data = values.slice(1)
+    .filter(r => r.some(v => v !== '' && v != null))
+    .filter(r => filters.every(f => matchesPivotFilter_(r[f.columnOffsetIndex], f.filterCriteria, now)));
+
+  // Key every row once per group
+  const rowKeyFns = rowGroups.map(g => compilePivotGroupKey_(g, data));
+  const colKeyFns = colGroups.map(g => compilePivotGroupKey_(g, data));
+  const records = data.map(row => ({
+    row,
+    rk: rowGroups.map((g, i) => rowKeyFns[i](row[g.sourceColumnOffset])),
+    ck: colGroups.map((g, i) => colKeyFns[i](row[g.sourceColumnOffset]))
+  }));
+
+  const evaluate = (measure, recs) => measure.evaluate(recs.map(x => x.row));
+  const inColumn = (column) => (rec) => column.keys.every((label, i) => rec.ck[i].label === label);
+  const bucketFilter = (bucket, keyField) => rec => (bucket.buckets || [])
+    .every((b, i) => rec[keyField][i] && rec[keyField][i].label === String(extendedValueOf_(b)));
+
+  const rowEntries = flattenPivotAxis_(rowGroups, 'rk', records, measures, bucketFilter, 'ck', evaluate);
+  const colEntries = flattenPivotAxis_(colGroups, 'ck', records, measures, bucketFilter, 'rk', evaluate);
+
+  const grandTotals = measures.map(m => evaluate(m, records));
+  const rows = rowEntries.map(r => ({
+    keys: r.keys,
+    type: r.type,
+    cells: colEntries.map(c => {
+      const recs = r.records.filter(inColumn(c));
+      return measures.map((m, v) => {
+        const value = recs.length ? evaluate(m, recs) : null; // no rows here: empty cell
+        if (!m.displayType || value == null) return value;
+        let total;
+        if (m.displayType === 'PERCENT_OF_ROW_TOTAL') total = evaluate(m, r.records);
+        else if (m.displayType === 'PERCENT_OF_COLUMN_TOTAL') total = evaluate(m, records.filter(inColumn(c)));
+        else total = grandTotals[v];
+        return total ? value / total : null;
+      });
+    })
+  }));
+
+  const result = {
+    rowHeaders: rowGroups.map(g => header[g.sourceColumnOffset] || colIndex1ToLetter_(g.sourceColumnOffset + 1)),
+    columnHeaders: colGroups.map(g => header[g.sourceColumnOffset] || colIndex1ToLetter_(g.sourceColumnOffset + 1)),
+    valueNames: measures.map(m => m.name),
+    columns: colEntries.map(c => ({ keys: c.keys, type: c.type })),
+    rows
+  };
+  result.matrix = pivotResultToMatrix_(result);
+  return result;
+}
+
+/**
+ * Group one axis into a tree and flatten it in display order: each group's children, then
+ * its subtotal (when that group shows totals), then the grand total (when the first group
+ * shows totals). An axis without groups is a single 'total' entry.
+ */
+function flattenPivotAxis_(groups, keyField, records, measures, bucketFilter, otherKeyField, evaluate) {
+  if (!groups.length) {
+    return [{ keys: [], type: 'total', records }];
+  }
+  const out = [];
+  const walk = (recs, level, prefix) => {
+    const group = groups[level];
+    const nodes = [];
+    const byLabel = {};
+    recs.forEach(rec => {
+      const key = rec[keyField][level];
+      const id = typeof key.label + ':' + key.label;
+      if (!byLabel[id]) {
+        byLabel[id] = { key, records: [] };
+        nodes.push(byLabel[id]);
+      }
+      byLabel[id].records.push(rec);
+    });
+
+    const descending = group.sortOrder === 'DESCENDING';
+    if (group.valueBucket) {
+      const measure = measures[group.valueBucket.valuesIndex];
+      const inBucket = bucketFilter(group.valueBucket, otherKeyField);
+      nodes.forEach(n => { n.rank = evaluate(measure, n.records.filter(inBucket)); });
+      nodes.sort((a, b) => {
+        if (a.rank == null || b.rank == null) return (a.rank == null) - (b.rank == null);
+        return descending ? b.rank - a.rank : a.rank - b.rank;
+      });
+    } else {
+      nodes.sort((a, b) => comparePivotKeys_(a.key, b.key, descending));
+    }
+
+    nodes.forEach(n => {
+      const keys = prefix.concat([n.key.label]);
+      if (level === groups.length - 1) {
+        out.push({ keys, type: 'data', records: n.records });
+        return;
+      }
+      walk(n.records, level + 1, keys);
+      if (group.showTotals) out.push({ keys, type: 'subtotal', records: n.records });
+    });
+  };
+  walk(records, 0, []);
+  if (groups[0].showTotals) out.push({ keys: [], type: 'total', records });
+  return out;
+}
+
+/**
+ * Blanks sort last in either order; numbers before text.
+ */
+function comparePivotKeys_(a, b, descending) {
+  const rank = k => (k.sort === '' || k.sort == null ? 2 : typeof k.sort === 'number' ? 0 : 1);
+  if (rank(a) !== rank(b)) return rank(a) - rank(b);
+  if (rank(a) === 2) return 0;
+  const cmp = rank(a) === 0 ? a.sort - b.sort : String(a.sort).localeCompare(String(b.sort));
+  return descending ? -cmp : cmp;
+}
+
+/**
+ * Build the function that maps a cell to its group key { label, sort }, applying the
+ * group's manual, histogram or date-time rule.
+ */
+function compilePivotGroupKey_(group, data) {
+  const rule = group.groupRule;
+  if (!rule) return plainPivotKey_;
+
+  if (rule.manualRule) {
+    const groupOf = {};
+    (rule.manualRule.groups || []).forEach(g => {
+      const name = String(extendedValueOf_(g.groupName));
+      (g.items || []).forEach(item => { groupOf[String(extendedValueOf_(item))] = name; });
+    });
+    return value => {
+      const key = plainPivotKey_(value);
+      return groupOf.hasOwnProperty(key.label) ? { label: groupOf[key.label], sort: groupOf[key.label] } : key;
+    };
+  }
+
+  if (rule.histogramRule) {
+    const h = rule.histogramRule;
+    const numbers = data.map(r => r[group.sourceColumnOffset]).filter(v => typeof v === 'number');
+    const start = h.start != null ? h.start : (numbers.length ? numbers.reduce((a, b) => Math.min(a, b)) : 0);
+    return value => {
+      if (typeof value !== 'number') return plainPivotKey_(value);
+      if (value < start) return { label: `< ${start}`, sort: -Infinity };
+      if (h.end != null && value >= h.end) return { label: `>= ${h.end}`, sort: Infinity };
+      const lo = start + Math.floor((value - start) / h.interval) * h.interval;
+      return { label: `${lo}-${lo + h.interval}`, sort: lo };
+    };
+  }
+
+  if (rule.dateTimeRule) {
+    const type = rule.dateTimeRule.type;
+    const pad = n => String(n).padStart(2, '0');
+    const parts = {
+      SECOND: d => [d.getSeconds(), d.getSeconds()],
+      MINUTE: d => [d.getMinutes(), d.getMinutes()],
+      HOUR: d => [d.getHours(), d.getHours()],
+      HOUR_MINUTE: d => [`${pad(d.getHours())}:${pad(d.getMinutes())}`, d.getHours() * 60 + d.getMinutes()],
+      HOUR_MINUTE_AMPM: d => [`${d.getHours() % 12 || 12}:${pad(d.getMinutes())} ${d.getHours() < 12 ? 'AM' : 'PM'}`, d.getHours() * 60 + d.getMinutes()],
+      DAY_OF_WEEK: d => [PIVOT_ENGINE_DAYS[d.getDay()], d.getDay()],
+      DAY_OF_YEAR: d => {
+        const n = Math.round((new Date(d.getFullYear(), d.getMonth(), d.getDate()) - new Date(d.getFullYear(), 0, 1)) / 86400000) + 1;
+        return [n, n];
+      },
+      DAY_OF_MONTH: d => [d.getDate(), d.getDate()],
+      DAY_MONTH: d => [`${d.getDate()}-${PIVOT_ENGINE_MONTHS[d.getMonth()]}`, d.getMonth() * 32 + d.getDate()],
+      MONTH: d => [PIVOT_ENGINE_MONTHS[d.getMonth()], d.getMonth()],
+      QUARTER: d => [`Q${Math.floor(d.getMonth() / 3) + 1}`, Math.floor(d.getMonth() / 3)],
+      YEAR: d => [d.getFullYear(), d.getFullYear()],
+      YEAR_MONTH: d => [`${d.getFullYear()}-${PIVOT_ENGINE_MONTHS[d.getMonth()]}`, d.getFullYear() * 12 + d.getMonth()],
+      YEAR_QUARTER: d => [`${d.getFullYear()}-Q${Math.floor(d.getMonth() / 3) + 1}`, d.getFullYear() * 4 + Math.floor(d.getMonth() / 3)],
+      YEAR_MONTH_DAY: d => [formatConditionValue_(d), new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime()]
+    };
+    if (!parts[type]) {
+      throw new Error(`computePivot does not support dateTimeRule type "${type}".`);
+    }
+    return value => {
+      const d = toPivotDate_(value);
+      if (!d) return plainPivotKey_(value);
+      const p = parts[type](d);
+      return { label: p[0], sort: p[1] };
+    };
+  }
+
+  throw new Error(`computePivot does not support group rule ${Object.keys(rule).join(', ')}.`);
+}
+
+function plainPivotKey_(value) {
+  if (value === '' || value == null) return { label: '', sort: '' };
+  if (value instanceof Date) return { label: formatConditionValue_(value), sort: value.getTime() };
+  if (typeof value === 'number') return { label: value, sort: value };
+  if (typeof value === 'boolean') return { label: value ? 'TRUE' : 'FALSE', sort: value ? 'TRUE' : 'FALSE' };
+  return { label: String(value), sort: String(value) };
+}
+
+function extendedValueOf_(ev) {
+  if (ev == null || typeof ev !== 'object') return ev;
+  if (ev.stringValue != null) return ev.stringValue;
+  if (ev.numberValue != null) return ev.numberValue;
+  if (ev.boolValue != null) return ev.boolValue ? 'TRUE' : 'FALSE';
+  return '';
+}
+
+function toPivotDate_(value) {
+  if (value instanceof Date) return isNaN(value) ? null : value;
+  if (typeof value === 'string' && /^\d{4}-\d{1,2}-\d{1,2}/.test(value.trim())) {
+    const m = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(value.trim());
+    return new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  }
+  return null;
+}
+
+/**
+ * A PivotValue as something that can summarize a set of rows: a source column with a
+ * summarize function, or a formula over header names.
+ */
+function toPivotMeasure_(pv, header, headerMap, headerMatch) {
+  const fn = pv.summarizeFunction;
+  const measure = { displayType: pv.calculatedDisplayType || null };
+  if (pv.formula) {
+    measure.name = pv.name || pv.formula;
+    if (fn === 'CUSTOM') {
+      // The formula aggregates itself, e.g. =SUM('Spend') / SUM('Clicks'); a bare field is summed
+      measure.evaluate = compilePivotFormula_(pv.formula, 'SUM', headerMap, headerMatch);
+    } else {
+      // Like Sheets: the formula runs on each source row, then fn summarizes the results
+      const perRow = compilePivotFormula_(pv.formula, PIVOT_FORMULA_ROW, headerMap, headerMatch);
+      measure.evaluate = rows => summarizePivotValues_(fn, rows.map(r => perRow([r])));
+    }
+    return measure;
+  }
+  if (fn === 'CUSTOM') {
+    throw new Error(`Value "${pv.name || header[pv.sourceColumnOffset]}": summarizeFunction CUSTOM requires a formula.`);
+  }
+  const offset = pv.sourceColumnOffset;
+  measure.name = pv.name || `${fn} of ${header[offset] || colIndex1ToLetter_(offset + 1)}`;
+  measure.evaluate = rows => summarizePivotValues_(fn, rows.map(r => r[offset]));
+  return measure;
+}
+
+/**
+ * Summarize cells like the pivot table does: numeric functions skip anything that is not a
+ * number, COUNTA counts non-empty cells.
+ */
+function summarizePivotValues_(fn, cells) {
+  if (fn === 'COUNTA') return cells.filter(v => v !== '' && v != null).length;
+  const nums = cells.filter(v => typeof v === 'number' && !isNaN(v));
+  const n = nums.length;
+  const sum = nums.reduce((a, b) => a + b, 0);
+  const variance = (sample) => {
+    if (n < (sample ? 2 : 1)) return null;
+    const mean = sum / n;
+    return nums.reduce((acc, x) => acc + (x - mean) * (x - mean), 0) / (sample ? n - 1 : n);
+  };
+  switch (fn) {
+    case 'SUM': return sum;
+    case 'COUNT': return n;
+    case 'MAX': return n ? nums.reduce((a, b) => Math.max(a, b)) : 0;
+    case 'MIN': return n ? nums.reduce((a, b) => Math.min(a, b)) : 0;
+    case 'AVERAGE': return n ? sum / n : null;
+    case 'MEDIAN': {
+      if (!n) return null;
+      const sorted = nums.slice().sort((a, b) => a - b);
+      return n % 2 ? sorted[(n - 1) / 2] : (sorted[n / 2 - 1] + sorted[n / 2]) / 2;
+    }
+    case 'PRODUCT': return n ? nums.reduce((a, b) => a * b, 1) : 0;
+    case 'STDEV': { const v = variance(true); return v == null ? null : Math.sqrt(v); }
+    case 'STDEVP': { const v = variance(false); return v == null ? null : Math.sqrt(v); }
+    case 'VAR': return variance(true);
+    case 'VARP': return variance(false);
+    default: throw new Error(`Unsupported summarizeFunction "${fn}".`);
+  }
+}
+
+/**
+ * Compile a pivot formula such as "='Spend' / 'Clicks'" or "=SUM(Spend) / COUNTA('Order ID')"
+ * into rows -> number. A bare field is summarized with fieldFn; FN(field) uses FN. With
+ * fieldFn PIVOT_FORMULA_ROW a field is the cell of a single row (blank is 0, text is null).
+ * Supports numbers, + - * / and parentheses. Division by zero gives null.
+ */
+function compilePivotFormula_(formula, fieldFn, headerMap, headerMatch) {
+  const src = String(formula).trim().replace(/^=/, '');
+  const tokens = [];
+  const re = /\s*(?:(\d+(?:\.\d+)?)|'((?:[^']|'')*)'|([A-Za-z_][\w.]*)|(\S))/y;
+  let m;
+  while (re.lastIndex < src.length && (m = re.exec(src))) {
+    if (m[1] != null) tokens.push({ type: 'num', value: Number(m[1]) });
+    else if (m[2] != null) tokens.push({ type: 'field', value: m[2].replace(/''/g, "'") });
+    else if (m[3] != null) tokens.push({ type: 'name', value: m[3] });
+    else if ('+-*/(),'.indexOf(m[4]) !== -1) tokens.push({ type: m[4] });
+    else if (m[4] != null) throw new Error(`Formula "${formula}": unexpected "${m[4]}".`);
+  }
+
+  const offsetOf = (name) => {
+    const matches = findHeaderMatches_(name.trim(), headerMap,
+      Object.assign({ ignoreCase: true, normalizeWhitespace: true }, headerMatch));
+    if (matches.length !== 1) {
+      throw new Error(`Formula "${formula}": ${matches.length ? 'ambiguous' : 'unknown'} field "${name}".`);
+    }
+    return matches[0].offset;
+  };
+  const fieldOf = (fn, name) => {
+    const offset = offsetOf(name);
+    if (fn === PIVOT_FORMULA_ROW) {
+      return rows => {
+        const v = rows[0][offset];
+        if (v === '' || v == null) return 0;
+        return typeof v === 'number' && !isNaN(v) ? v : null;
+      };
+    }
+    return rows => summarizePivotValues_(fn, rows.map(r => r[offset]));
+  };
+
+  let pos = 0;
+  const peek = () => tokens[pos] || { type: 'end' };
+  const expect = (type) => {
+    if (peek().type !== type) throw new Error(`Formula "${formula}": expected "${type}".`);
+    return tokens[pos++];
+  };
+  const arith = (a, b, op) => rows => {
+    const x = a(rows);
+    const y = b(rows);
+    if (x == null || y == null) return null;
+    if (op === '+') return x + y;
+    if (op === '-') return x - y;
+    if (op === '*') return x * y;
+    return y === 0 ? null : x / y;
+  };
+  const factor = () => {
+    const t = tokens[pos++] || { type: 'end' };
+    if (t.type === 'num') return () => t.value;
+    if (t.type === '-') { const f = factor(); return rows => { const v = f(rows); return v == null ? null : -v; }; }
+    if (t.type === '(') { const e = expr(); expect(')'); return e; }
+    if (t.type === 'field') return fieldOf(fieldFn, t.value);
+    if (t.type === 'name') {
+      if (peek().type === '(') {
+        pos++;
+        const fn = normalizeSummarizeFunction_(t.value);
+        const arg = tokens[pos++] || {};
+        if (arg.type !== 'field' && arg.type !== 'name') throw new Error(`Formula "${formula}": ${t.value}() needs a field.`);
+        expect(')');
+        return fieldOf(fn, arg.value);
+      }
+      return fieldOf(fieldFn, t.value);
+    }
+    throw new Error(`Formula "${formula}": unexpected ${t.type === 'end' ? 'end' : `"${t.value || t.type}"`}.`);
+  };
+  const term = () => {
+    let left = factor();
+    while (peek().type === '*' || peek().type === '/') {
+      const op = tokens[pos++].type;
+      left = arith(left, factor(), op);
+    }
+    return left;
+  };
+  const expr = () => {
+    let left = term();
+    while (peek().type === '+' || peek().type === '-') {
+      const op = tokens[pos++].type;
+      left = arith(left, term(), op);
+    }
+    return left;
+  };
+  const compiled = expr();
+  if (peek().type !== 'end') throw new Error(`Formula "${formula}": unexpected "${peek().value || peek().type}".`);
+  return compiled;
+}
+
+/**
+ * Whether a cell passes a PivotFilterCriteria (visibleValues or a condition).
+ */
+function matchesPivotFilter_(value, criteria, now) {
+  const label = value instanceof Date ? formatConditionValue_(value) : String(value == null ? '' : value);
+  if (criteria.visibleValues) {
+    return criteria.visibleValues.indexOf(label) !== -1;
+  }
+  const condition = criteria.condition;
+  const args = (condition.values || []).map(v => (v.relativeDate ? relativePivotDate_(v.relativeDate, now) : v.userEnteredValue));
+  const type = condition.type;
+  const blank = value === '' || value == null;
+  if (type === 'BLANK') return blank;
+  if (type === 'NOT_BLANK') return !blank;
+
+  if (/^NUMBER_/.test(type)) {
+    if (blank || typeof value === 'boolean' || !isFinite(Number(value)) || value instanceof Date) return false;
+    const n = Number(value);
+    const a = Number(args[0]);
+    const b = Number(args[1]);
+    switch (type) {
+      case 'NUMBER_GREATER': return n > a;
+      case 'NUMBER_GREATER_THAN_EQ': return n >= a;
+      case 'NUMBER_LESS': return n < a;
+      case 'NUMBER_LESS_THAN_EQ': return n <= a;
+      case 'NUMBER_EQ': return n === a;
+      case 'NUMBER_NOT_EQ': return n !== a;
+      case 'NUMBER_BETWEEN': return n >= Math.min(a, b) && n <= Math.max(a, b);
+      case 'NUMBER_NOT_BETWEEN': return n < Math.min(a, b) || n > Math.max(a, b);
+    }
+  }
+
+  if (/^TEXT_/.test(type)) {
+    const text = label.toLowerCase();
+    const a = String(args[0] == null ? '' : args[0]).toLowerCase();
+    switch (type) {
+      case 'TEXT_CONTAINS': return text.indexOf(a) !== -1;
+      case 'TEXT_NOT_CONTAINS': return text.indexOf(a) === -1;
+      case 'TEXT_STARTS_WITH': return text.indexOf(a) === 0;
+      case 'TEXT_ENDS_WITH': return text.length >= a.length && text.slice(text.length - a.length) === a;
+      case 'TEXT_EQ': return text === a;
+      case 'TEXT_NOT_EQ': return text !== a;
+      case 'TEXT_IS_EMAIL': return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(label);
+      case 'TEXT_IS_URL': return /^https?:\/\/\S+$/i.test(label);
+    }
+  }
+
+  if (/^DATE_/.test(type)) {
+    const d = toPivotDate_(value);
+    if (type === 'DATE_IS_VALID') return !!d;
+    if (!d) return false;
+    const day = x => new Date(x.getFullYear(), x.getMonth(), x.getDate()).getTime();
+    const t = day(d);
+    const a = args[0] != null ? day(args[0] instanceof Date ? args[0] : toPivotDate_(String(args[0]))) : null;
+    const b = args[1] != null ? day(args[1] instanceof Date ? args[1] : toPivotDate_(String(args[1]))) : null;
+    switch (type) {
+      case 'DATE_EQ': return t === a;
+      case 'DATE_NOT_EQ': return t !== a;
+      case 'DATE_BEFORE': return t < a;
+      case 'DATE_AFTER': return t > a;
+      case 'DATE_ON_OR_BEFORE': return t <= a;
+      case 'DATE_ON_OR_AFTER': return t >= a;
+      case 'DATE_BETWEEN': return t >= Math.min(a, b) && t <= Math.max(a, b);
+      case 'DATE_NOT_BETWEEN': return t < Math.min(a, b) || t > Math.max(a, b);
+    }
+  }
+  throw new Error(`computePivot does not support filter condition ${type}.`);
+}
+
+function relativePivotDate_(relativeDate, now) {
+  const d = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  switch (relativeDate) {
+    case 'TODAY': return d;
+    case 'YESTERDAY': return new Date(d.getFullYear(), d.getMonth(), d.getDate() - 1);
+    case 'TOMORROW': return new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1);
+    case 'PAST_WEEK': return new Date(d.getFullYear(), d.getMonth(), d.getDate() - 7);
+    case 'PAST_MONTH': return new Date(d.getFullYear(), d.getMonth() - 1, d.getDate());
+    case 'PAST_YEAR': return new Date(d.getFullYear() - 1, d.getMonth(), d.getDate());
+    default: throw new Error(`Unsupported relativeDate "${relativeDate}".`);
+  }
+}
+
+/**
+ * Lay a computePivot result out as a 2-D array: one line per column group level, a line
+ * with the row group names and value names, then the rows (subtotals as "<key> Total",
+ * the grand total as "Grand Total").
+ */
+function pivotResultToMatrix_(result) {
+  const labelCols = result.rowHeaders.length;
+  const valueCount = Math.max(result.valueNames.length, 1);
+  const blanks = n => Array.from({ length: n }, () => '');
+  const totalLabel = key => (key === '' ? 'Total' : `${key} Total`);
+  const matrix = [];
+
+  result.columnHeaders.forEach((name, level) => {
+    const line = blanks(labelCols);
+    if (labelCols) line[0] = level === 0 ? name : '';
+    result.columns.forEach(c => {
+      let label = '';
+      if (c.type === 'total') label = level === 0 ? 'Grand Total' : '';
+      else if (level < c.keys.length) label = c.type === 'subtotal' && level === c.keys.length - 1 ? totalLabel(c.keys[level]) : c.keys[level];
+      line.push(label, ...blanks(valueCount - 1));
+    });
+    matrix.push(line);
+  });
+
+  const names = result.rowHeaders.slice();
+  result.columns.forEach(() => {
+    if (result.valueNames.length) names.push(...result.valueNames); else names.push('');
+  });
+  matrix.push(names);
+
+  result.rows.forEach(r => {
+    const line = blanks(labelCols);
+    if (r.type === 'total') {
+      if (labelCols) line[0] = 'Grand Total';
+    } else {
+      r.keys.forEach((k, i) => { line[i] = r.type === 'subtotal' && i === r.keys.length - 1 ? totalLabel(k) : k; });
+    }
+    r.cells.forEach(cell => line.push(...(cell.length ? cell : [''])));
+    matrix.push(line);
+  });
+  return matrix;
+}
@@ -0,0 +1,114 @@
+/**
+ * Pivot presets (Apps Script)
+ * - Named createPivotTable configs for the pivots we used to record as macros
+ *   (dev001.js demo/demo2, dev002.js pivotTable).
+ * - Each preset reads the active sheet (header on row 3) unless it names a sourceSheet,
+ *   and builds into its own destination sheet, inserted after the source sheet.
+ * - config.format hides gridlines; layout sets the exact column widths the macros used.
+ *
+ * Preset shape:
+ * {
+ *   label: string          // menu item text
+ *   menuFunction: string   // global function the menu item calls
+ *   config: object         // createPivotTable config; sourceSheet defaults to the active sheet
+ *   layout?: {
+ *     columnWidths?: { start: number, count: number, width: number }  // 1-based columns, pixels
+ *     autoResizeColumns?: { start: number, count: number }
+ *   }
+ * }
+ */
+
+const PIVOT_PRESETS = {
+  demo: {
+    label: 'Demo: count and sum by C, D',
+    menuFunction: 'demo',
+    config: {
+      sourceRange: { header: 3 },
+      destinationSheet: 'Demo Pivot',
+      anchorCellA1: 'A1',
+      rows: [{ column: 3 }, { column: 4 }],
+      values: [
+        { column: 2, summarizeFunction: 'COUNTA' },
+        { column: 6, summarizeFunction: 'SUM' }
+      ],
+      format: { hiddenGridlines: true }
+    }
+  },
+  demo2: {
+    label: 'Demo 2: sums by C, B',
+    menuFunction: 'demo2',
+    config: {
+      sourceRange: { header: 3 },
+      destinationSheet: 'Demo 2 Pivot',
+      anchorCellA1: 'A1',
+      rows: [{ column: 3 }, { column: 2 }],
+      values: [
+        { column: 4, summarizeFunction: 'SUM' },
+        { column: 6, summarizeFunction: 'SUM' }
+      ],
+      format: { hiddenGridlines: true }
+    },
+    layout: {
+      columnWidths: { start: 1, count: 4, width: 102 },
+      autoResizeColumns: { start: 1, count: 4 }
+    }
+  },
+  pivotTable: {
+    label: 'Pivot table: sums by C, B (at A2)',
+    menuFunction: 'pivotTable',
+    config: {
+      sourceRange: { header: 3 },
+      destinationSheet: 'Pivot Table',
+      anchorCellA1: 'A2',
+      rows: [{ column: 3 }, { column: 2 }],
+      values: [
+        { column: 4, summarizeFunction: 'SUM' },
+        { column: 6, summarizeFunction: 'SUM' }
+      ],
+      format: { hiddenGridlines: true }
+    },
+    layout: {
+      columnWidths: { start: 1, count: 4, width: 102 },
+      autoResizeColumns: { start: 1, count: 4 }
+    }
+  }
+};
+
+/**
+ * Build a preset by name and apply its layout. Returns createPivotTable's placement.
+ */
+function runPivotPreset(name) {
+  const preset = PIVOT_PRESETS[name];
+  if (!preset) {
+    throw new Error(`Pivot preset "${name}" not found. Available: ${Object.keys(PIVOT_PRESETS).join(', ')}`);
+  }
+
+  const ss = SpreadsheetApp.getActive();
+  const config = Object.assign({ sourceSheet: ss.getActiveSheet().getName() }, preset.config);
+  if (config.sourceSheet === config.destinationSheet) {
+    throw new Error(`"${config.destinationSheet}" is the output of preset "${name}". Select the data sheet and run it again.`);
+  }
+
+  // New destination sheets go right after the source, like the recorded macros did
+  if (!ss.getSheetByName(config.destinationSheet)) {
+    const sourceSheet = ss.getSheetByName(config.sourceSheet);
+    if (sourceSheet) ss.insertSheet(config.destinationSheet, sourceSheet.getIndex());
+  }
+
+  const placement = createPivotTable(config);
+  const destSheet = ss.getSheetByName(placement.sheetName);
+  applyPivotPresetLayout_(destSheet, preset.layout || {});
+  destSheet.activate();
+  return placement;
+}
+
+function applyPivotPresetLayout_(sheet, layout) {
+  if (layout.columnWidths) {
+    const w = layout.columnWidths;
+    sheet.setColumnWidths(w.start, w.count, w.width);
+  }
+  if (layout.autoResizeColumns) {
+    SpreadsheetApp.flush(); // let the pivot render so the resize sees its contents
+    sheet.autoResizeColumns(layout.autoResizeColumns.start, layout.autoResizeColumns.count);
+  }
+}
@@ -0,0 +1,159 @@
+/**
+ * Named pivot config registry (Apps Script)
+ * - Saves createPivotTable configs as JSON in the document properties.
+ * - Lists, loads, renames and deletes them by name.
+ * - Rebuilds every saved pivot in the order it was saved. A config placed 'below' or
+ *   'right' is pinned to where its pivot landed, so later rebuilds replace it in place.
+ *
+ * Each config lives under its own property key so large configs do not share
+ * the per-value size limit; an index key keeps the names in order.
+ */
+
+const PIVOT_REGISTRY_PREFIX = 'PIVOT_CONFIG:';
+const PIVOT_REGISTRY_INDEX_KEY = 'PIVOT_CONFIG_INDEX';
+
+/**
+ * Save (or overwrite) a named pivot config.
+ * New names go to the end of the rebuild order; overwriting keeps the position.
+ */
+function savePivotConfig(name, config) {
+  const key = normalizePivotConfigName_(name);
+  if (!config || typeof config !== 'object') {
+    throw new Error(`Pivot config "${key}" must be an object.`);
+  }
+  const props = PropertiesService.getDocumentProperties();
+  const names = readPivotRegistryIndex_(props);
+  props.setProperty(PIVOT_REGISTRY_PREFIX + key, JSON.stringify(config));
+  if (names.indexOf(key) === -1) {
+    names.push(key);
+    writePivotRegistryIndex_(props, names);
+  }
+}
+
+/**
+ * List saved config names in rebuild order.
+ */
+function listPivotConfigs() {
+  return readPivotRegistryIndex_(PropertiesService.getDocumentProperties());
+}
+
+/**
+ * Load a saved config by name. Throws if it does not exist.
+ */
+function loadPivotConfig(name) {
+  const key = normalizePivotConfigName_(name);
+  const raw = PropertiesService.getDocumentProperties().getProperty(PIVOT_REGISTRY_PREFIX + key);
+  if (raw == null) {
+    throw new Error(`Saved pivot config "${key}" not found.`);
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    throw new Error(`Saved pivot config "${key}" is not valid JSON: ${e.message}`);
+  }
+}
+
+/**
+ * Rename a saved config, keeping its place in the rebuild order.
+ */
+function renamePivotConfig(oldName, newName) {
+  const from = normalizePivotConfigName_(oldName);
+  const to = normalizePivotConfigName_(newName);
+  if (from === to) return;
+
+  const props = PropertiesService.getDocumentProperties();
+  const names = readPivotRegistryIndex_(props);
+  const raw = props.getProperty(PIVOT_REGISTRY_PREFIX + from);
+  if (raw == null) {
+    throw new Error(`Saved pivot config "${from}" not found.`);
+  }
+  if (props.getProperty(PIVOT_REGISTRY_PREFIX + to) != null) {
+    throw new Error(`Saved pivot config "${to}" already exists.`);
+  }
+
+  props.setProperty(PIVOT_REGISTRY_PREFIX + to, raw);
+  props.deleteProperty(PIVOT_REGISTRY_PREFIX + from);
+  const i = names.indexOf(from);
+  if (i === -1) names.push(to); else names[i] = to;
+  writePivotRegistryIndex_(props, names);
+}
+
+/**
+ * Delete a saved config. Throws if it does not exist.
+ */
+function deletePivotConfig(name) {
+  const key = normalizePivotConfigName_(name);
+  const props = PropertiesService.getDocumentProperties();
+  if (props.getProperty(PIVOT_REGISTRY_PREFIX + key) == null) {
+    throw new Error(`Saved pivot config "${key}" not found.`);
+  }
+  props.deleteProperty(PIVOT_REGISTRY_PREFIX + key);
+  writePivotRegistryIndex_(props, readPivotRegistryIndex_(props).filter(n => n !== key));
+}
+
+/**
+ * Re-run createPivotTable for every saved config, in order.
+ * One failing config does not stop the others.
+ *
+ * @return {Array<{ name: string, ok: boolean, error?: string }>}
+ */
+function rebuildAllSavedPivots() {
+  const results = listPivotConfigs().map(name => {
+    try {
+      rebuildSavedPivot_(name);
+      return { name, ok: true };
+    } catch (e) {
+      return { name, ok: false, error: e && e.message ? e.message : String(e) };
+    }
+  });
+
+  const failed = results.filter(r => !r.ok);
+  const summary = results.length === 0
+    ? 'No saved pivot configs.'
+    : `Rebuilt ${results.length - failed.length} of ${results.length} saved pivots.` +
+      (failed.length ? '\n\nFailed:\n' + failed.map(r => `- ${r.name}: ${r.error}`).join('\n') : '');
+  Logger.log(summary);
+  try {
+    SpreadsheetApp.getUi().alert(summary);
+  } catch (_) {} // no UI when run from a trigger or the API
+
+  return results;
+}
+
+/**
+ * Build one saved config. 'below' / 'right' find free space on every run, which would add a
+ * copy each time, so after the first build the config is saved with the anchor it landed on
+ * and no placement: from then on the pivot at that anchor is its own and gets replaced.
+ */
+function rebuildSavedPivot_(name) {
+  const config = loadPivotConfig(name);
+  const placed = createPivotTable(config);
+  const mode = String(config.placement || '').toLowerCase();
+  if (mode === 'below' || mode === 'right') {
+    const pinned = Object.assign({}, config, { anchorCellA1: placed.anchorCellA1 });
+    delete pinned.placement;
+    savePivotConfig(name, pinned);
+  }
+  return placed;
+}
+
+function normalizePivotConfigName_(name) {
+  const key = String(name == null ? '' : name).trim();
+  if (!key) throw new Error('Pivot config name is required.');
+  return key;
+}
+
+function readPivotRegistryIndex_(props) {
+  const raw = props.getProperty(PIVOT_REGISTRY_INDEX_KEY);
+  if (!raw) return [];
+  try {
+    const names = JSON.parse(raw);
+    return Array.isArray(names) ? names : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+function writePivotRegistryIndex_(props, names) {
+  props.setProperty(PIVOT_REGISTRY_INDEX_KEY, JSON.stringify(names));
+}
@@ -0,0 +1,156 @@
+/**
+ * Scheduled pivot refresh (Apps Script)
+ * - Installs time-driven triggers that rebuild a saved pivot config (see PivotRegistry.js)
+ *   every hour, every day or every week.
+ * - Lists and removes those triggers.
+ * - Logs every run (timestamp, config, duration, error) to the "Pivot Refresh Log" sheet.
+ *
+ * Triggers cannot carry arguments, so each trigger's unique id is mapped to its config
+ * name and schedule in the document properties.
+ */
+
+const PIVOT_SCHEDULE_PREFIX = 'PIVOT_SCHEDULE:';
+const PIVOT_REFRESH_HANDLER = 'runScheduledPivotRefresh';
+const PIVOT_REFRESH_LOG_SHEET = 'Pivot Refresh Log';
+const PIVOT_REFRESH_FREQUENCIES = ['hourly', 'daily', 'weekly'];
+
+/**
+ * Rebuild a saved pivot config on a schedule.
+ *
+ * @param {string} name saved config name
+ * @param {string} frequency 'hourly' | 'daily' | 'weekly'
+ * @param {Object=} options {
+ *   hour?: number     // 0-23, daily/weekly only, default 7 (runs some time within that hour)
+ *   weekday?: string  // weekly only, e.g. 'MONDAY' (default)
+ * }
+ * @return {{ triggerId: string, name: string, frequency: string, hour?: number, weekday?: string }}
+ */
+function installPivotRefreshTrigger(name, frequency, options) {
+  loadPivotConfig(name); // fail now rather than at the first run
+  const schedule = normalizePivotSchedule_(name, frequency, options || {});
+
+  let builder = ScriptApp.newTrigger(PIVOT_REFRESH_HANDLER).timeBased();
+  if (schedule.frequency === 'hourly') {
+    builder = builder.everyHours(1);
+  } else if (schedule.frequency === 'daily') {
+    builder = builder.everyDays(1).atHour(schedule.hour);
+  } else {
+    builder = builder.onWeekDay(ScriptApp.WeekDay[schedule.weekday]).atHour(schedule.hour);
+  }
+  const trigger = builder.create();
+
+  const triggerId = trigger.getUniqueId();
+  PropertiesService.getDocumentProperties()
+    .setProperty(PIVOT_SCHEDULE_PREFIX + triggerId, JSON.stringify(schedule));
+  return Object.assign({ triggerId }, schedule);
+}
+
+/**
+ * Scheduled refreshes of this project, including triggers whose schedule entry is missing
+ * (name is null for those).
+ *
+ * @return {Array<{ triggerId: string, name: string|null, frequency?: string, hour?: number, weekday?: string }>}
+ */
+function listPivotRefreshTriggers() {
+  const props = PropertiesService.getDocumentProperties();
+  return ScriptApp.getProjectTriggers()
+    .filter(t => t.getHandlerFunction() === PIVOT_REFRESH_HANDLER)
+    .map(t => {
+      const triggerId = t.getUniqueId();
+      const schedule = readPivotSchedule_(props, triggerId);
+      return Object.assign({ triggerId, name: null }, schedule);
+    });
+}
+
+/**
+ * Remove scheduled refreshes by trigger id, or every one for a config name.
+ *
+ * @return {number} how many triggers were removed
+ */
+function removePivotRefreshTrigger(triggerIdOrName) {
+  const key = String(triggerIdOrName == null ? '' : triggerIdOrName).trim();
+  if (!key) throw new Error('Trigger id or pivot config name is required.');
+
+  const props = PropertiesService.getDocumentProperties();
+  let removed = 0;
+  ScriptApp.getProjectTriggers()
+    .filter(t => t.getHandlerFunction() === PIVOT_REFRESH_HANDLER)
+    .forEach(t => {
+      const triggerId = t.getUniqueId();
+      const schedule = readPivotSchedule_(props, triggerId);
+      if (triggerId === key || (schedule && schedule.name === key)) {
+        ScriptApp.deleteTrigger(t);
+        props.deleteProperty(PIVOT_SCHEDULE_PREFIX + triggerId);
+        removed++;
+      }
+    });
+  return removed;
+}
+
+/**
+ * Trigger handler: rebuild the saved config mapped to the firing trigger and log the run.
+ */
+function runScheduledPivotRefresh(e) {
+  const triggerId = e && e.triggerUid ? String(e.triggerUid) : '';
+  const schedule = readPivotSchedule_(PropertiesService.getDocumentProperties(), triggerId);
+  const name = schedule ? schedule.name : '';
+  const started = new Date();
+
+  let error = '';
+  try {
+    if (!schedule) {
+      throw new Error(`No pivot schedule found for trigger "${triggerId}". Remove it and install it again.`);
+    }
+    rebuildSavedPivot_(name);
+  } catch (err) {
+    error = err && err.message ? err.message : String(err);
+  }
+
+  const seconds = (new Date().getTime() - started.getTime()) / 1000;
+  appendPivotRefreshLog_([started, name, triggerId, seconds, error ? 'ERROR' : 'OK', error]);
+  if (error) Logger.log(`Scheduled pivot refresh "${name}" failed: ${error}`);
+}
+
+function normalizePivotSchedule_(name, frequency, options) {
+  const freq = String(frequency || '').trim().toLowerCase();
+  if (PIVOT_REFRESH_FREQUENCIES.indexOf(freq) === -1) {
+    throw new Error(`Unsupported frequency "${frequency}". Use one of ${PIVOT_REFRESH_FREQUENCIES.join(', ')}.`);
+  }
+  const schedule = { name: normalizePivotConfigName_(name), frequency: freq };
+  if (freq === 'hourly') return schedule;
+
+  const hour = options.hour == null ? 7 : Number(options.hour);
+  if (!(hour >= 0 && hour <= 23) || hour % 1 !== 0) {
+    throw new Error(`hour must be a whole number from 0 to 23. Got "${options.hour}".`);
+  }
+  schedule.hour = hour;
+  if (freq === 'weekly') {
+    const weekday = String(options.weekday || 'MONDAY').trim().toUpperCase();
+    if (!ScriptApp.WeekDay[weekday]) {
+      throw new Error(`Unsupported weekday "${options.weekday}". Use MONDAY ... SUNDAY.`);
+    }
+    schedule.weekday = weekday;
+  }
+  return schedule;
+}
+
+function readPivotSchedule_(props, triggerId) {
+  const raw = props.getProperty(PIVOT_SCHEDULE_PREFIX + triggerId);
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch (_) {
+    return null;
+  }
+}
+
+function appendPivotRefreshLog_(row) {
+  const ss = SpreadsheetApp.getActive();
+  let sheet = ss.getSheetByName(PIVOT_REFRESH_LOG_SHEET);
+  if (!sheet) {
+    sheet = ss.insertSheet(PIVOT_REFRESH_LOG_SHEET);
+    sheet.appendRow(['Timestamp', 'Config', 'Trigger', 'Duration (s)', 'Status', 'Error']);
+    sheet.setFrozenRows(1);
+  }
+  sheet.appendRow(row);
+}
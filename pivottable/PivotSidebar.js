@@ -0,0 +1,82 @@
+/**
+ * Pivot builder sidebar (Apps Script)
+ * - Server side of PivotSidebar.html, opened from the "Pivot Tools" menu.
+ * - Reads headers of a source range and builds pivots through createPivotTable.
+ */
+
+/**
+ * Open the pivot builder sidebar.
+ */
+function showPivotSidebar() {
+  const html = HtmlService.createHtmlOutputFromFile('PivotSidebar').setTitle('Pivot Builder');
+  SpreadsheetApp.getUi().showSidebar(html);
+}
+
+/**
+ * Initial data for the sidebar: sheet names and the active sheet.
+ */
+function getPivotSidebarInit() {
+  const ss = SpreadsheetApp.getActive();
+  return {
+    sheets: ss.getSheets().map(s => s.getName()),
+    activeSheet: ss.getActiveSheet().getName()
+  };
+}
+
+/**
+ * Read the header row of sheetName!rangeA1.
+ * Each field carries the reference the sidebar should put in the config: the header
+ * name when it is unique, "Name#2" for a repeated header, otherwise the column letter.
+ *
+ * @return {{ fields?: Array<{ label: string, ref: string }>, error?: string }}
+ */
+function getPivotSidebarFields(sheetName, rangeA1) {
+  try {
+    const sourceRange = getSidebarSourceRange_(sheetName, rangeA1);
+    const headerValues = sourceRange.offset(0, 0, 1, sourceRange.getNumColumns()).getValues()[0];
+    const headerMap = buildHeaderMap_(headerValues);
+    const fields = headerValues.map((h, i) => {
+      const ref = offsetToColRef_(i, sourceRange, headerMap, headerValues);
+      const name = String(h || '').trim();
+      return { label: name ? (name === ref ? name : `${name} (${ref})`) : `Column ${ref}`, ref };
+    });
+    return { fields };
+  } catch (e) {
+    return { error: e.message };
+  }
+}
+
+/**
+ * Check a sidebar config and create the pivot when it is valid.
+ * Problems tied to a field come back with a path like "rows.0" so the sidebar can show
+ * them next to that field; other problems use the config key ("sourceRangeA1") or "config".
+ *
+ * @return {{ ok: boolean, errors?: Array<{ path: string, message: string }> }}
+ */
+function createPivotFromSidebar(config) {
+  const errors = validatePivotConfig(config);
+  if (!(config.values || []).length && !(config.rows || []).length && !(config.columns || []).length) {
+    errors.push({ path: 'config', message: 'Add at least one row, column or value field.' });
+  }
+  if (errors.length) {
+    return { ok: false, errors };
+  }
+  try {
+    createPivotTable(config);
+  } catch (e) {
+    return { ok: false, errors: [{ path: 'config', message: e.message }] };
+  }
+  return { ok: true };
+}
+
+function getSidebarSourceRange_(sheetName, rangeA1) {
+  if (!sheetName) throw new Error('Choose a source sheet.');
+  if (!rangeA1 || !String(rangeA1).trim()) throw new Error('Enter a source range, e.g. A1:F.');
+  const sheet = SpreadsheetApp.getActive().getSheetByName(sheetName);
+  if (!sheet) throw new Error(`Source sheet "${sheetName}" not found.`);
+  try {
+    return sheet.getRange(String(rangeA1).trim());
+  } catch (e) {
+    throw new Error(`Invalid range "${rangeA1}".`);
+  }
+}
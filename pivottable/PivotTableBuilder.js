@@ -8,6 +8,7 @@
  * Notes:
  * - This script relies on the Advanced Sheets service: Services > + > Google Sheets API
  * - The "Sheets" service here refers to Advanced Sheets API, not SpreadsheetApp.
+ * - Placement sizes a pivot with the filter and group helpers of PivotEngine.js; add both files.
  */
 
 /**
@@ -41,7 +42,8 @@ function createExamplePivot() {
       { column: 'ID', summarizeFunction: 'COUNT', name: 'Count of ID' }
     ],
 
-    // Optional: group rules, filters can be added later if needed
+    // Optional: filters narrow the source rows, e.g.
+    // filters: [{ column: 'Amount', condition: { type: 'NUMBER_GREATER', values: [0] } }],
   };
 
   createPivotTable(config);
@@ -52,76 +54,1545 @@ function createExamplePivot() {
  *
  * Config schema:
  * {
- *   spreadsheetId?: string (defaults to active spreadsheet)
+ *   spreadsheetId?: string (defaults to active spreadsheet; holds the source and, by default, the pivot)
+ *   destinationSpreadsheetId?: string  // build the pivot in another file from an IMPORTRANGE staging copy
+ *   stagingSheet?: string              // staging sheet name there, default "<sourceSheet> (import)"
  *   sourceSheet: string
  *   sourceRangeA1: string  // Must include headers
+ *   sourceRange?: SourceRangeSpec  // instead of sourceRangeA1: find the data block at build time
+ *   headerMatch?: { ignoreCase?: boolean, normalizeWhitespace?: boolean }  // both default true
  *   destinationSheet: string
  *   anchorCellA1?: string   // default "A1"
- *   rows?: Array<{ column: HeaderOrRef, showTotals?: boolean, sortOrder?: 'ASC'|'DESC', groupRule?: object }>
- *   columns?: Array<{ column: HeaderOrRef, showTotals?: boolean, sortOrder?: 'ASC'|'DESC', groupRule?: object }>
- *   values?: Array<{ column: HeaderOrRef, summarizeFunction?: SummarizeFn, name?: string, formula?: string }>
+ *   placement?: 'error'|'replace'|'below'|'right'  // what to do when pivots/data are in the way
+ *   rows?: Array<GroupSpec>
+ *   columns?: Array<GroupSpec>
+ *   values?: Array<ValueSpec>
+ *   valueLayout?: 'HORIZONTAL'|'VERTICAL'   // lay values out as columns (default) or rows
+ *   filters?: Array<{ column: HeaderOrRef, visibleValues?: Array<string|number|boolean>, condition?: FilterCondition, visibleByDefault?: boolean }>
+ *   format?: PivotFormat     // styling of the output, applied once the pivot is drawn (see normalizePivotFormat_)
  * }
  *
- * HeaderOrRef: string header name | string column letter like "C" | number 1-based column index
+ * GroupSpec: { column: HeaderOrRef, showTotals?: boolean, sortOrder?: 'ASC'|'DESC',
+ *   sortBy?: { value: string|number, buckets?: Array<string|number> }  // rank by a value, not by label
+ *   and at most one of
+ *   groupRule?: object                                    // raw Sheets API PivotGroupRule
+ *   bucket?: string                                       // e.g. 'month', 'quarter+year' -> dateTimeRule
+ *   histogram?: { interval: number, start?: number, end?: number }  // -> histogramRule
+ *   groups?: { [groupName: string]: Array<string|number> }          // -> manualRule }
+ * ValueSpec: { column: HeaderOrRef, summarizeFunction?: SummarizeFn, name?: string, formula?: string,
+ *   calculatedDisplayType?: 'row'|'column'|'grand' }     // show as percent of row/column/grand total
+ *   or a calculated field: { name: string, calculated: string, summarizeFunction?, calculatedDisplayType? }
+ *   where calculated references headers in braces, e.g. '{Spend} / {Clicks}'
+ * SourceRangeSpec: { header: 'auto' | number }  // header row (auto-detected or 1-based) down to the
+ *                                                // last non-empty row, across the used columns
+ *   | { namedRange: string }                     // a named range (sourceSheet not needed)
+ * HeaderOrRef: string header name | "Name#2" (2nd column with that header) | string column letter like "C"
+ *   | number 1-based column index
  * SummarizeFn: 'SUM'|'COUNTA'|'COUNT'|'MAX'|'MIN'|'AVERAGE'|'MEDIAN'|'PRODUCT'|'STDEV'|'STDEVP'|'VAR'|'VARP'|'CUSTOM'
+ * FilterCondition: { type: ConditionType, values?: Array<string|number|Date|{ relativeDate: string }> }
+ *   e.g. { type: 'NUMBER_GREATER', values: [1000] }, { type: 'TEXT_CONTAINS', values: ['Meta'] },
+ *        { type: 'DATE_BETWEEN', values: ['2025-01-01', '2025-03-31'] }
+ *
+ * @return {{ sheetName: string, anchorCellA1: string }} where the pivot was written
+ *   (differs from anchorCellA1 when placement 'below' or 'right' moved it)
+ */
+function createPivotTable(config) {
+  const resolved = resolvePivotConfig_(config);
+
+  // Resolve destination sheet (create if missing)
+  const destSheet = ensureSheet_(resolved.spreadsheet, config.destinationSheet);
+
+  // Check for pivots/data in the way and pick the final anchor, then stage a cross-file source
+  const plan = planPivotPlacement_(destSheet, resolved, config.placement);
+  if (resolved.stage) resolved.stage();
+  const anchorStart = anchorToGridCoordinate_(destSheet, plan.anchorA1);
+
+  Sheets.Spreadsheets.batchUpdate(
+    { requests: plan.requests.concat([pivotUpdateCellsRequest_(anchorStart, resolved.pivotTable)]) },
+    resolved.spreadsheet.getId()
+  );
+  if (resolved.format) {
+    applyPivotFormats_(resolved.spreadsheet, [{ block: pivotFormatBlock_(anchorStart, resolved), format: resolved.format }]);
+  }
+  return { sheetName: destSheet.getName(), anchorCellA1: plan.anchorA1 };
+}
+
+/**
+ * Create many pivots with as few Sheets API calls as possible.
+ *
+ * Every config, including its anchor, is resolved before anything is written; if any fails,
+ * nothing is written (no staging sheet either) and the error lists each failing config.
+ * Anchors are used as given (no placement checks). Then cross-file sources are staged and,
+ * per destination spreadsheet, missing destination sheets are added in one addSheet batch
+ * and all pivots are written in one batchUpdate.
+ *
+ * @param {Array<Object>} configs createPivotTable configs
+ * @return {Array<{ spreadsheetId: string, sheetName: string, sheetId: number, anchorCellA1: string }>}
+ *   where each pivot landed, in config order
+ */
+function createPivotTables(configs) {
+  if (!Array.isArray(configs)) {
+    throw new Error('createPivotTables expects an array of configs.');
+  }
+
+  const errors = [];
+  const resolved = configs.map((config, i) => {
+    try {
+      if (!config.destinationSheet) throw new Error('destinationSheet is required.');
+      const r = resolvePivotConfig_(config);
+      a1ToGridCoordinate_(0, r.anchorA1); // reject a bad anchor now rather than mid-write
+      return r;
+    } catch (e) {
+      errors.push(`#${i} (${config && config.destinationSheet}): ${e.message}`);
+      return null;
+    }
+  });
+  if (errors.length) {
+    throw new Error(`${errors.length} of ${configs.length} pivot configs failed; nothing was created.\n${errors.join('\n')}`);
+  }
+  resolved.forEach(r => { if (r.stage) r.stage(); });
+
+  // Group by destination spreadsheet so each file gets its own pair of calls
+  const groups = {};
+  resolved.forEach((r, i) => {
+    const id = r.spreadsheet.getId();
+    if (!groups[id]) groups[id] = { spreadsheet: r.spreadsheet, items: [] };
+    groups[id].items.push({ index: i, resolved: r, sheetName: configs[i].destinationSheet });
+  });
+
+  const placements = [];
+  Object.keys(groups).forEach(spreadsheetId => {
+    const group = groups[spreadsheetId];
+    const sheetIds = {};
+    group.spreadsheet.getSheets().forEach(sh => { sheetIds[sh.getName()] = sh.getSheetId(); });
+
+    // One addSheet batch for every missing destination sheet
+    const missing = group.items.map(item => item.sheetName)
+      .filter((name, i, all) => !sheetIds.hasOwnProperty(name) && all.indexOf(name) === i);
+    if (missing.length) {
+      const response = Sheets.Spreadsheets.batchUpdate(
+        { requests: missing.map(title => ({ addSheet: { properties: { title } } })) },
+        spreadsheetId
+      );
+      response.replies.forEach((reply, i) => {
+        sheetIds[missing[i]] = reply.addSheet.properties.sheetId;
+      });
+      SpreadsheetApp.flush(); // so getSheets() sees the added sheets when the pivots are formatted
+    }
+
+    // One batchUpdate with every pivot, then one with every format block
+    const formatted = [];
+    const requests = group.items.map(item => {
+      const sheetId = sheetIds[item.sheetName];
+      placements[item.index] = {
+        spreadsheetId,
+        sheetName: item.sheetName,
+        sheetId,
+        anchorCellA1: item.resolved.anchorA1
+      };
+      const anchorStart = a1ToGridCoordinate_(sheetId, item.resolved.anchorA1);
+      if (item.resolved.format) {
+        formatted.push({ block: pivotFormatBlock_(anchorStart, item.resolved), format: item.resolved.format });
+      }
+      return pivotUpdateCellsRequest_(anchorStart, item.resolved.pivotTable);
+    });
+    Sheets.Spreadsheets.batchUpdate({ requests }, spreadsheetId);
+    if (formatted.length) applyPivotFormats_(group.spreadsheet, formatted);
+  });
+
+  return placements;
+}
+
+/**
+ * Export the rendered output of the pivot at destinationSheet!anchorCellA1 to a Drive file.
+ * Only the pivot's own block is exported, not the rest of the sheet.
+ *
+ * options: {
+ *   format?: 'csv'|'xlsx'|'pdf'   // default 'csv'
+ *   folderId?: string             // Drive folder, default My Drive
+ *   fileName?: string             // default "<sheet> <anchor> <yyyy-MM-dd>", extension added
+ *   spreadsheetId?: string        // file holding the pivot; default active
+ *   email?: { to: string, subject?: string, body?: string }  // also send the file with MailApp
+ * }
+ *
+ * @return {{ url: string, fileId: string, name: string, rangeA1: string }}
+ */
+function exportPivotOutput(destinationSheet, anchorCellA1, options) {
+  const opts = options || {};
+  const format = String(opts.format || 'csv').toLowerCase();
+  if (['csv', 'xlsx', 'pdf'].indexOf(format) === -1) {
+    throw new Error(`Unsupported export format "${opts.format}". Use csv, xlsx or pdf.`);
+  }
+
+  const ss = openSpreadsheet_(opts.spreadsheetId);
+  const sheet = ss.getSheetByName(destinationSheet);
+  if (!sheet) {
+    throw new Error(`Destination sheet "${destinationSheet}" not found.`);
+  }
+  const anchorA1 = sheet.getRange(anchorCellA1 || 'A1').getA1Notation();
+  const block = listPivotBlocks_(sheet).find(p => p.anchorA1 === anchorA1);
+  if (!block) {
+    throw new Error(`No pivot table found at ${destinationSheet}!${anchorA1}.`);
+  }
+  const range = sheet.getRange(block.top, block.left, block.bottom - block.top + 1, block.right - block.left + 1);
+
+  const stamp = Utilities.formatDate(new Date(), ss.getSpreadsheetTimeZone(), 'yyyy-MM-dd');
+  const name = `${opts.fileName || `${destinationSheet} ${anchorA1} ${stamp}`}.${format}`;
+  let blob;
+  if (format === 'csv') {
+    blob = Utilities.newBlob(toCsv_(range.getDisplayValues()), MimeType.CSV, name);
+  } else if (format === 'pdf') {
+    const query = `format=pdf&gid=${sheet.getSheetId()}&range=${encodeURIComponent(range.getA1Notation())}` +
+      '&size=A4&portrait=true&fitw=true&gridlines=false&sheetnames=false&printtitle=false&pagenum=UNDEFINED';
+    blob = fetchSpreadsheetExport_(ss.getId(), query).setName(name);
+  } else {
+    blob = exportRangeAsXlsx_(range, name);
+  }
+
+  const folder = opts.folderId ? DriveApp.getFolderById(opts.folderId) : DriveApp.getRootFolder();
+  const file = folder.createFile(blob);
+
+  if (opts.email) {
+    if (!opts.email.to) throw new Error('email.to is required to send the export.');
+    MailApp.sendEmail({
+      to: opts.email.to,
+      subject: opts.email.subject || `Pivot export: ${name}`,
+      body: opts.email.body || `Attached: ${destinationSheet}!${range.getA1Notation()} from "${ss.getName()}".`,
+      attachments: [file.getBlob()]
+    });
+  }
+  return { url: file.getUrl(), fileId: file.getId(), name, rangeA1: range.getA1Notation() };
+}
+
+function toCsv_(rows) {
+  return rows.map(row => row.map(v => {
+    const s = String(v);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }).join(',')).join('\r\n');
+}
+
+/**
+ * The Sheets export endpoint cannot cut a range out of an xlsx, so copy the block (values
+ * as displayed, plus number formats, fonts and backgrounds) into a temporary spreadsheet,
+ * export that, and trash it.
+ */
+function exportRangeAsXlsx_(range, name) {
+  const rows = range.getNumRows();
+  const cols = range.getNumColumns();
+  const temp = SpreadsheetApp.create(`${name} (export)`);
+  try {
+    const target = temp.getSheets()[0].getRange(1, 1, rows, cols);
+    target.setValues(range.getValues())
+      .setNumberFormats(range.getNumberFormats())
+      .setFontWeights(range.getFontWeights())
+      .setBackgrounds(range.getBackgrounds());
+    SpreadsheetApp.flush();
+    return fetchSpreadsheetExport_(temp.getId(), 'format=xlsx').setName(name);
+  } finally {
+    DriveApp.getFileById(temp.getId()).setTrashed(true);
+  }
+}
+
+function fetchSpreadsheetExport_(spreadsheetId, query) {
+  const response = UrlFetchApp.fetch(`https://docs.google.com/spreadsheets/d/${spreadsheetId}/export?${query}`, {
+    headers: { Authorization: 'Bearer ' + ScriptApp.getOAuthToken() },
+    muteHttpExceptions: true
+  });
+  if (response.getResponseCode() !== 200) {
+    throw new Error(`Export failed (HTTP ${response.getResponseCode()}): ${response.getContentText().slice(0, 200)}`);
+  }
+  return response.getBlob();
+}
+
+/**
+ * Resolve a createPivotTable config into a Sheets API PivotTable without writing it.
+ * A cross-spreadsheet config gets a stage() that copies the source data into the destination
+ * file and sets pivotTable.source; call it once every check has passed.
+ *
+ * @return {{ spreadsheet: Spreadsheet, anchorA1: string, pivotTable: Object, stage: ?function() }}
+ *   spreadsheet is the file the pivot goes into.
+ */
+function resolvePivotConfig_(config) {
+  const ss = openSpreadsheet_(config.spreadsheetId);
+
+  // Resolve source range
+  const sourceRange = resolveSourceRange_(ss, config);
+  const headerValues = sourceRange.offset(0, 0, 1, sourceRange.getNumColumns()).getValues()[0];
+
+  const headerMap = buildHeaderMap_(headerValues); // name -> 0-based offsets within sourceRange
+  const toOffset = (colRef) => colRefToOffset_(colRef, sourceRange, headerMap, config.headerMatch);
+
+  // Build PivotGroups (rows/columns); sortBy refers to entries in config.values
+  const valueSpecs = config.values || [];
+  const rows = (config.rows || []).map(r => toPivotGroup_(toOffset(r.column), r, valueSpecs));
+  const columns = (config.columns || []).map(c => toPivotGroup_(toOffset(c.column), c, valueSpecs));
+
+  // Build PivotValues
+  const values = (config.values || []).map(v => buildPivotValue_(v, toOffset, headerMap, config.headerMatch));
+
+  // Build PivotFilterSpecs
+  const filterSpecs = (config.filters || []).map(f => toPivotFilterSpec_(toOffset(f.column), f));
+
+  // A pivot can only read from its own file, so another destination file gets a
+  // staging copy of the source block (same shape, so column offsets still apply).
+  let destSs = ss;
+  let stage = null; // source is set by stage() once the caller is ready to write
+  if (config.destinationSpreadsheetId && config.destinationSpreadsheetId !== ss.getId()) {
+    destSs = openSpreadsheet_(config.destinationSpreadsheetId);
+    stage = () => {
+      pivotTable.source = rangeToGridRange_(stageImportRange_(destSs, sourceRange, config.stagingSheet));
+    };
+  }
+
+  const pivotTable = {
+    source: stage ? null : rangeToGridRange_(sourceRange),
+    rows,
+    columns,
+    values
+  };
+  if (filterSpecs.length) {
+    pivotTable.filterSpecs = filterSpecs;
+  }
+  if (config.valueLayout) {
+    pivotTable.valueLayout = normalizeValueLayout_(config.valueLayout);
+  }
+
+  const format = config.format ? normalizePivotFormat_(config.format, valueSpecs, pivotTable.valueLayout) : null;
+
+  return { spreadsheet: destSs, anchorA1: config.anchorCellA1 || 'A1', pivotTable, sourceRange, format, stage };
+}
+
+/**
+ * Resolve the source Range of a config: config.sourceRange when given, else sourceSheet!sourceRangeA1.
+ */
+function resolveSourceRange_(ss, config) {
+  const spec = config.sourceRange;
+  if (spec != null) {
+    if (typeof spec !== 'object') {
+      throw new Error('sourceRange must be an object like { header: \'auto\' } or { namedRange: \'Name\' }.');
+    }
+    if (spec.namedRange) {
+      const named = ss.getRangeByName(spec.namedRange);
+      if (!named) throw new Error(`Named range "${spec.namedRange}" not found.`);
+      return named;
+    }
+  }
+
+  const sourceSheet = ss.getSheetByName(config.sourceSheet);
+  if (!sourceSheet) {
+    throw new Error(`Source sheet "${config.sourceSheet}" not found.`);
+  }
+  if (spec != null) {
+    if (spec.header !== 'auto' && !(typeof spec.header === 'number' && spec.header >= 1)) {
+      throw new Error('sourceRange.header must be \'auto\' or a 1-based row number.');
+    }
+    return detectDataRange_(sourceSheet, spec.header);
+  }
+
+  if (!config.sourceRangeA1) {
+    throw new Error('sourceRangeA1 (or sourceRange) is required.');
+  }
+  try {
+    return sourceSheet.getRange(config.sourceRangeA1);
+  } catch (e) {
+    throw new Error(`Invalid source range "${config.sourceRangeA1}".`);
+  }
+}
+
+/**
+ * Find the data block on a sheet: from the header row down to the last non-empty row,
+ * and from the first to the last non-empty column at or below the header.
+ *
+ * header 'auto' picks the first row filled at least half as wide as the widest row,
+ * which skips title or note rows above the table. A number uses that row as the header.
+ */
+function detectDataRange_(sheet, header) {
+  const lastRow = sheet.getLastRow();
+  const lastCol = sheet.getLastColumn();
+  if (!lastRow || !lastCol) {
+    throw new Error(`Sheet "${sheet.getName()}" has no data.`);
+  }
+  const values = sheet.getRange(1, 1, lastRow, lastCol).getValues();
+  const filled = row => row.filter(v => v !== '' && v != null).length;
+
+  let headerRow;
+  if (header === 'auto') {
+    const widest = values.reduce((max, row) => Math.max(max, filled(row)), 0);
+    const threshold = Math.max(1, Math.ceil(widest / 2));
+    headerRow = values.findIndex(row => filled(row) >= threshold) + 1;
+  } else {
+    headerRow = header;
+  }
+  if (headerRow < 1 || headerRow > lastRow || !filled(values[headerRow - 1])) {
+    throw new Error(`No header row found on "${sheet.getName()}" (looked at row ${headerRow || 'auto'}).`);
+  }
+
+  let firstCol = lastCol;
+  let usedLastCol = 1;
+  let usedLastRow = headerRow;
+  for (let r = headerRow - 1; r < values.length; r++) {
+    values[r].forEach((v, c) => {
+      if (v === '' || v == null) return;
+      firstCol = Math.min(firstCol, c + 1);
+      usedLastCol = Math.max(usedLastCol, c + 1);
+      usedLastRow = r + 1;
+    });
+  }
+  return sheet.getRange(headerRow, firstCol, usedLastRow - headerRow + 1, usedLastCol - firstCol + 1);
+}
+
+/**
+ * Widen an existing pivot's source GridRange to cover rows and columns added since it was built.
+ *
+ * The start of the source never moves (so column offsets stay valid) and the range never
+ * shrinks; every other part of the pivot definition is written back unchanged.
+ *
+ * @return {{ changed: boolean, sourceRangeA1: string }} the (possibly new) source range
+ */
+function refreshPivotSource(destinationSheet, anchorCellA1, spreadsheetId) {
+  const ss = openSpreadsheet_(spreadsheetId);
+  const anchorA1 = anchorCellA1 || 'A1';
+  const destSheet = ss.getSheetByName(destinationSheet);
+  if (!destSheet) {
+    throw new Error(`Destination sheet "${destinationSheet}" not found.`);
+  }
+  const pivot = readPivotTable_(ss.getId(), destinationSheet, anchorA1);
+  if (!pivot) {
+    throw new Error(`No pivot table found at ${destinationSheet}!${anchorA1}.`);
+  }
+  if (!pivot.source) {
+    throw new Error(`Pivot table at ${destinationSheet}!${anchorA1} is not backed by a grid range.`);
+  }
+
+  const current = gridRangeToRange_(ss, pivot.source);
+  const sheet = current.getSheet();
+  const endRow = Math.max(current.getLastRow(), sheet.getLastRow());
+  const endCol = Math.max(current.getLastColumn(), sheet.getLastColumn());
+  const widened = sheet.getRange(current.getRow(), current.getColumn(),
+    endRow - current.getRow() + 1, endCol - current.getColumn() + 1);
+
+  if (widened.getNumRows() === current.getNumRows() && widened.getNumColumns() === current.getNumColumns()) {
+    return { changed: false, sourceRangeA1: current.getA1Notation() };
+  }
+
+  const pivotTable = Object.assign({}, pivot, { source: rangeToGridRange_(widened) });
+  Sheets.Spreadsheets.batchUpdate(
+    { requests: [pivotUpdateCellsRequest_(anchorToGridCoordinate_(destSheet, anchorA1), pivotTable)] },
+    ss.getId()
+  );
+  return { changed: true, sourceRangeA1: widened.getA1Notation() };
+}
+
+/**
+ * Decide where a new pivot goes on destSheet, given the pivots and data already there.
+ *
+ * placement:
+ * - 'error'   refuse if the pivot's estimated footprint overlaps another pivot or data
+ * - 'replace' remove overlapping pivots and clear the footprint, then write at the anchor
+ * - 'below'   if the anchor is taken, move below everything used in the footprint's columns
+ * - 'right'   if the anchor is taken, move right of everything used in the footprint's rows
+ * - omitted   'replace' when a pivot already sits at the anchor (re-running a config),
+ *             otherwise 'error'
+ *
+ * @return {{ anchorA1: string, requests: Array<Object> }} final anchor and any clearing
+ *   requests to send before the pivot itself
+ */
+function planPivotPlacement_(destSheet, resolved, placement) {
+  const modes = ['error', 'replace', 'below', 'right'];
+  let mode = placement == null ? null : String(placement).toLowerCase();
+  if (mode != null && modes.indexOf(mode) === -1) {
+    throw new Error(`Unsupported placement "${placement}". Use one of ${modes.join(', ')}.`);
+  }
+
+  const anchor = destSheet.getRange(resolved.anchorA1);
+  const size = estimatePivotSize_(resolved.pivotTable, resolved.sourceRange.getValues());
+  const pivots = listPivotBlocks_(destSheet);
+  if (mode == null) {
+    mode = pivots.some(p => p.anchorA1 === anchor.getA1Notation()) ? 'replace' : 'error';
+  }
+
+  const footprint = (row, col) => ({ top: row, left: col, bottom: row + size.rows - 1, right: col + size.columns - 1 });
+  const fp = footprint(anchor.getRow(), anchor.getColumn());
+  const collisions = findCollisions_(destSheet, fp, pivots);
+  if (!collisions.length) {
+    return { anchorA1: anchor.getA1Notation(), requests: [] };
+  }
+
+  if (mode === 'error') {
+    throw new Error(`Pivot at ${destSheet.getName()}!${anchor.getA1Notation()} (about ${size.rows}x${size.columns} cells) would overlap ${collisions.map(c => c.label).join(', ')}. Use placement 'replace', 'below' or 'right'.`);
+  }
+
+  if (mode === 'replace') {
+    const sheetId = destSheet.getSheetId();
+    const requests = collisions.filter(c => c.pivot).map(c => ({
+      updateCells: {
+        start: anchorToGridCoordinate_(destSheet, c.pivot.anchorA1),
+        rows: [{ values: [{}] }],
+        fields: 'pivotTable'
+      }
+    }));
+    requests.push({
+      updateCells: {
+        range: {
+          sheetId,
+          startRowIndex: fp.top - 1,
+          endRowIndex: fp.bottom,
+          startColumnIndex: fp.left - 1,
+          endColumnIndex: fp.right
+        },
+        fields: 'userEnteredValue'
+      }
+    });
+    return { anchorA1: anchor.getA1Notation(), requests };
+  }
+
+  // below / right: step past everything used in the footprint's column (or row) span, plus a gap
+  let row = fp.top;
+  let col = fp.left;
+  if (mode === 'below') {
+    const pivotBottom = pivots.filter(p => p.left <= fp.right && p.right >= fp.left)
+      .reduce((max, p) => Math.max(max, p.bottom), 0);
+    row = Math.max(pivotBottom, lastUsedRowIn_(destSheet, fp.left, fp.right)) + 2;
+  } else {
+    const pivotRight = pivots.filter(p => p.top <= fp.bottom && p.bottom >= fp.top)
+      .reduce((max, p) => Math.max(max, p.right), 0);
+    col = Math.max(pivotRight, lastUsedColumnIn_(destSheet, fp.top, fp.bottom)) + 2;
+  }
+  return { anchorA1: destSheet.getRange(row, col).getA1Notation(), requests: [] };
+}
+
+/**
+ * Rough size of a pivot's output from its definition and the source values: distinct row
+ * combinations (+ subtotals and headers) by distinct column combinations times values.
+ * Filters and group rules are applied as computePivot (PivotEngine.js) applies them; a
+ * CUSTOM_FORMULA filter or a rule it cannot evaluate is skipped, so the estimate errs large.
+ */
+function estimatePivotSize_(pivotTable, sourceValues) {
+  const now = new Date();
+  const filters = (pivotTable.filterSpecs || []).filter(f =>
+    !(f.filterCriteria.condition && f.filterCriteria.condition.type === 'CUSTOM_FORMULA'));
+  const data = sourceValues.slice(1)
+    .filter(r => r.some(v => v !== '' && v != null))
+    .filter(r => filters.every(f => matchesPivotFilter_(r[f.columnOffsetIndex || 0], f.filterCriteria, now)));
+  const keyOf = (group) => {
+    try {
+      const key = compilePivotGroupKey_(group, data);
+      return v => String(key(v).label);
+    } catch (e) {
+      return v => String(v);
+    }
+  };
+  const rowGroups = (pivotTable.rows || []).map(g => ({ offset: g.sourceColumnOffset, key: keyOf(g), showTotals: g.showTotals }));
+  const colGroups = (pivotTable.columns || []).map(g => ({ offset: g.sourceColumnOffset, key: keyOf(g), showTotals: g.showTotals }));
+  const distinct = (groups, depth) => {
+    if (!depth) return 1;
+    const keys = new Set(data.map(r => groups.slice(0, depth).map(g => g.key(r[g.offset])).join('\u0000')));
+    return Math.max(keys.size, 1);
+  };
+  const valueCount = Math.max((pivotTable.values || []).length, 1);
+  const vertical = pivotTable.valueLayout === 'VERTICAL';
+
+  let rows = distinct(rowGroups, rowGroups.length);
+  for (let depth = 1; depth < rowGroups.length; depth++) {
+    if (rowGroups[depth - 1].showTotals !== false) rows += distinct(rowGroups, depth);
+  }
+  let columns = distinct(colGroups, colGroups.length);
+  for (let depth = 1; depth < colGroups.length; depth++) {
+    if (colGroups[depth - 1].showTotals !== false) columns += distinct(colGroups, depth);
+  }
+  if (vertical) rows *= valueCount; else columns *= valueCount;
+
+  // One header row without column groups; else one per group, the labels, and value names if several
+  const headerRows = colGroups.length ? colGroups.length + 1 + (!vertical && valueCount > 1 ? 1 : 0) : 1;
+  const grandRow = rowGroups.length && rowGroups[0].showTotals !== false ? 1 : 0;
+  const grandCols = colGroups.length && colGroups[0].showTotals !== false ? (vertical ? 1 : valueCount) : 0;
+  return {
+    rows: headerRows + rows + grandRow,
+    columns: Math.max(rowGroups.length, 1) + (vertical ? 1 : 0) + columns + grandCols,
+    headerRows,
+    labelColumns: Math.max(rowGroups.length, 1) + (vertical ? 1 : 0),
+    grandRow,
+    grandCols
+  };
+}
+
+/**
+ * Existing pivots on a sheet with the block each one currently renders (1-based, inclusive).
+ */
+function listPivotBlocks_(sheet) {
+  return sheet.getPivotTables().map(pt => {
+    const anchor = pt.getAnchorCell();
+    const region = anchor.getDataRegion();
+    return {
+      anchorA1: anchor.getA1Notation(),
+      top: anchor.getRow(),
+      left: anchor.getColumn(),
+      bottom: Math.max(region.getLastRow(), anchor.getRow()),
+      right: Math.max(region.getLastColumn(), anchor.getColumn())
+    };
+  });
+}
+
+/**
+ * Pivots overlapping the footprint, plus a single entry for any other non-empty cells in it.
+ */
+function findCollisions_(sheet, fp, pivots) {
+  const overlaps = (a, b) => a.left <= b.right && a.right >= b.left && a.top <= b.bottom && a.bottom >= b.top;
+  const collisions = pivots.filter(p => overlaps(p, fp)).map(p => ({ pivot: p, label: `pivot at ${p.anchorA1}` }));
+
+  const lastRow = Math.min(fp.bottom, sheet.getLastRow());
+  const lastCol = Math.min(fp.right, sheet.getLastColumn());
+  if (lastRow >= fp.top && lastCol >= fp.left) {
+    const values = sheet.getRange(fp.top, fp.left, lastRow - fp.top + 1, lastCol - fp.left + 1).getValues();
+    const inPivot = (r, c) => collisions.some(x => r >= x.pivot.top && r <= x.pivot.bottom && c >= x.pivot.left && c <= x.pivot.right);
+    let firstData = null;
+    values.forEach((rowValues, i) => rowValues.forEach((v, j) => {
+      if (!firstData && v !== '' && v != null && !inPivot(fp.top + i, fp.left + j)) {
+        firstData = sheet.getRange(fp.top + i, fp.left + j).getA1Notation();
+      }
+    }));
+    if (firstData) collisions.push({ pivot: null, label: `data at ${firstData}` });
+  }
+  return collisions;
+}
+
+function lastUsedRowIn_(sheet, firstCol, lastCol) {
+  const lastRow = sheet.getLastRow();
+  const width = Math.min(lastCol, sheet.getLastColumn()) - firstCol + 1;
+  if (!lastRow || width < 1) return 0;
+  const values = sheet.getRange(1, firstCol, lastRow, width).getValues();
+  for (let r = values.length - 1; r >= 0; r--) {
+    if (values[r].some(v => v !== '' && v != null)) return r + 1;
+  }
+  return 0;
+}
+
+function lastUsedColumnIn_(sheet, firstRow, lastRow) {
+  const lastCol = sheet.getLastColumn();
+  const height = Math.min(lastRow, sheet.getLastRow()) - firstRow + 1;
+  if (!lastCol || height < 1) return 0;
+  const values = sheet.getRange(firstRow, 1, height, lastCol).getValues();
+  let max = 0;
+  values.forEach(rowValues => {
+    for (let c = rowValues.length - 1; c >= max; c--) {
+      if (rowValues[c] !== '' && rowValues[c] != null) { max = c + 1; break; }
+    }
+  });
+  return max;
+}
+
+const PIVOT_NUMBER_FORMATS = {
+  currency: { type: 'CURRENCY', pattern: '"$"#,##0.00' },
+  percent: { type: 'PERCENT', pattern: '0.0%' },
+  integer: { type: 'NUMBER', pattern: '#,##0' }
+};
+
+/**
+ * Check a config's format block and turn value references into positions in values.
+ *
+ * format: {
+ *   numberFormats?: { [valueRef]: 'currency'|'percent'|'integer'|<pattern> }  // valueRef: name, column or 0-based position
+ *   header?: boolean | { bold?: boolean, background?: '#rrggbb', fontColor?: '#rrggbb' }
+ *   bandedRows?: boolean | { firstBandColor?: '#rrggbb', secondBandColor?: '#rrggbb' }
+ *   freezeHeaderRows?: boolean
+ *   colorScale?: boolean | { values?: Array<valueRef>, minColor?, midColor?, maxColor? }
+ *   hiddenGridlines?: boolean
+ *   autoResize?: boolean
+ * }
+ */
+function normalizePivotFormat_(format, valueSpecs, valueLayout) {
+  if (typeof format !== 'object') {
+    throw new Error('format must be an object.');
+  }
+  const known = ['numberFormats', 'header', 'bandedRows', 'freezeHeaderRows', 'colorScale', 'hiddenGridlines', 'autoResize'];
+  const unknown = Object.keys(format).filter(k => known.indexOf(k) === -1);
+  if (unknown.length) {
+    throw new Error(`Unknown format option(s): ${unknown.join(', ')}. Use ${known.join(', ')}.`);
+  }
+  const toIndex = (ref, what) => {
+    let index = findValueIndex_(ref, valueSpecs);
+    if (index === -1 && /^\d+$/.test(String(ref))) index = findValueIndex_(Number(ref), valueSpecs);
+    if (index === -1) {
+      const names = valueSpecs.map((v, i) => (v && (v.name || v.column)) || i).join(', ');
+      throw new Error(`${what} "${ref}" does not match any value. Values: ${names || '(none)'}`);
+    }
+    return index;
+  };
+  const byValue = () => {
+    if (valueLayout === 'VERTICAL' && valueSpecs.length > 1) {
+      throw new Error('Per-value formats need valueLayout HORIZONTAL when there is more than one value.');
+    }
+  };
+
+  const out = {
+    numberFormats: [],
+    header: null,
+    banding: null,
+    freezeHeaderRows: !!format.freezeHeaderRows,
+    colorScale: null,
+    hiddenGridlines: !!format.hiddenGridlines,
+    autoResize: !!format.autoResize
+  };
+  if (format.numberFormats) {
+    byValue();
+    Object.keys(format.numberFormats).forEach(ref => {
+      const preset = format.numberFormats[ref];
+      const numberFormat = PIVOT_NUMBER_FORMATS[String(preset).toLowerCase()] ||
+        (preset ? { type: 'NUMBER', pattern: String(preset) } : null);
+      if (!numberFormat) throw new Error(`Number format for "${ref}" is empty.`);
+      out.numberFormats.push({ index: toIndex(ref, 'numberFormats key'), numberFormat });
+    });
+  }
+  if (format.header) {
+    const h = format.header === true ? {} : format.header;
+    out.header = {
+      bold: h.bold !== false,
+      background: hexToColor_(h.background || '#d9d9d9'),
+      fontColor: h.fontColor ? hexToColor_(h.fontColor) : null
+    };
+  }
+  if (format.bandedRows) {
+    const b = format.bandedRows === true ? {} : format.bandedRows;
+    out.banding = {
+      firstBandColor: hexToColor_(b.firstBandColor || '#ffffff'),
+      secondBandColor: hexToColor_(b.secondBandColor || '#f3f3f3')
+    };
+  }
+  if (format.colorScale) {
+    byValue();
+    const c = format.colorScale === true ? {} : format.colorScale;
+    const refs = c.values || valueSpecs.map((_, i) => i);
+    if (!Array.isArray(refs) || !refs.length) {
+      throw new Error('colorScale.values must be a non-empty array of value references.');
+    }
+    out.colorScale = {
+      indexes: refs.map(ref => toIndex(ref, 'colorScale value')),
+      minColor: hexToColor_(c.minColor || '#ffffff'),
+      midColor: c.midColor ? hexToColor_(c.midColor) : null,
+      maxColor: hexToColor_(c.maxColor || '#57bb8a')
+    };
+  }
+  return out;
+}
+
+function hexToColor_(hex) {
+  const m = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(String(hex).trim());
+  if (!m) throw new Error(`Color must be a hex value like "#d9d9d9". Got "${hex}".`);
+  return { red: parseInt(m[1], 16) / 255, green: parseInt(m[2], 16) / 255, blue: parseInt(m[3], 16) / 255 };
+}
+
+/**
+ * The estimated block a resolved pivot will render at anchorStart, as 0-based grid indexes
+ * (end exclusive), with the parts the format requests need. Header rows, label columns and
+ * grand totals follow from the definition; readDrawnPivotBlocks_ replaces bottom and right.
+ */
+function pivotFormatBlock_(anchorStart, resolved) {
+  const size = estimatePivotSize_(resolved.pivotTable, resolved.sourceRange.getValues());
+  const top = anchorStart.rowIndex;
+  const left = anchorStart.columnIndex;
+  return {
+    sheetId: anchorStart.sheetId,
+    top,
+    left,
+    bottom: top + size.rows,
+    right: left + size.columns,
+    dataTop: top + size.headerRows,
+    dataLeft: left + size.labelColumns,
+    grandRow: size.grandRow,
+    grandCols: size.grandCols,
+    valueCount: (resolved.pivotTable.values || []).length
+  };
+}
+
+/**
+ * Style pivots that have just been written: measure what they drew, drop the bandings and
+ * color scales of their previous build, and send every format request in one batch.
+ * formatted: Array<{ block, format }> with estimated blocks and normalized formats
+ */
+function applyPivotFormats_(ss, formatted) {
+  const drawn = readDrawnPivotBlocks_(ss, formatted);
+  const requests = pivotFormatCleanupRequests_(readPivotFormatState_(ss.getId(), drawn), drawn)
+    .concat(...drawn.map(f => pivotFormatRequests_(f.block, f.format)));
+  if (requests.length) {
+    Sheets.Spreadsheets.batchUpdate({ requests }, ss.getId());
+  }
+}
+
+// Extra rows and columns read past a pivot's estimated block, for values the estimate misses
+const PIVOT_READ_MARGIN = 10;
+
+/**
+ * Read each pivot's output back and size its block to the filled region around the anchor,
+ * as Range.getDataRegion would. Only the estimated block plus PIVOT_READ_MARGIN is read.
+ * A pivot that drew nothing yet (e.g. an IMPORTRANGE source waiting for access) keeps its
+ * estimated block.
+ */
+function readDrawnPivotBlocks_(ss, formatted) {
+  const sheets = {};
+  ss.getSheets().forEach(sh => { sheets[sh.getSheetId()] = sh; });
+  const ranges = formatted.map(f => {
+    const b = f.block;
+    const sheet = sheets[b.sheetId];
+    if (!sheet) {
+      throw new Error(`Sheet ${b.sheetId} was not found in spreadsheet ${ss.getId()}; ` +
+        'its pivot was written but not formatted. Run again to format it.');
+    }
+    const lastRow = Math.min(b.bottom + PIVOT_READ_MARGIN, sheet.getMaxRows());
+    const lastCol = Math.min(b.right + PIVOT_READ_MARGIN, sheet.getMaxColumns());
+    return `${quoteSheetName_(sheet.getName())}!${colIndex1ToLetter_(b.left + 1)}${b.top + 1}:` +
+      `${colIndex1ToLetter_(lastCol)}${lastRow}`;
+  });
+  const response = Sheets.Spreadsheets.get(ss.getId(), {
+    ranges,
+    fields: 'sheets(properties.sheetId,data(startRow,startColumn,rowData.values.formattedValue))'
+  });
+  const grids = [];
+  (response.sheets || []).forEach(sheet => (sheet.data || []).forEach(data => grids.push({
+    sheetId: (sheet.properties && sheet.properties.sheetId) || 0,
+    top: data.startRow || 0,
+    left: data.startColumn || 0,
+    rowData: data.rowData || []
+  })));
+
+  return formatted.map(f => {
+    const b = f.block;
+    const grid = grids.find(g => g.sheetId === b.sheetId && g.top === b.top && g.left === b.left);
+    const size = grid && filledRegionSize_(grid.rowData);
+    if (!size) return f;
+    const bottom = b.top + size.rows;
+    const right = b.left + size.columns;
+    const block = Object.assign({}, b, {
+      bottom,
+      right,
+      dataTop: Math.min(b.dataTop, bottom),
+      dataLeft: Math.min(b.dataLeft, right)
+    });
+    return { block, format: f.format };
+  });
+}
+
+/**
+ * Rows and columns of the filled region that starts at the top-left cell of rowData, grown
+ * while a cell right of, below or diagonal to it is filled. Null when nothing is filled.
+ */
+function filledRegionSize_(rowData) {
+  const filled = (r, c) => {
+    const cell = ((rowData[r] || {}).values || [])[c];
+    return !!cell && cell.formattedValue != null && cell.formattedValue !== '';
+  };
+  let rows = 1;
+  let columns = 1;
+  let grew = true;
+  while (grew) {
+    grew = false;
+    for (let c = 0; c <= columns && !grew; c++) {
+      if (filled(rows, c)) { rows++; grew = true; }
+    }
+    for (let r = 0; r <= rows && !grew; r++) {
+      if (filled(r, columns)) { columns++; grew = true; }
+    }
+  }
+  return rows > 1 || columns > 1 || filled(0, 0) ? { rows, columns } : null;
+}
+
+/**
+ * Requests that apply a normalized format to a drawn pivot block.
+ */
+function pivotFormatRequests_(block, format) {
+  const requests = [];
+  const range = (top, bottom, left, right) => ({
+    sheetId: block.sheetId, startRowIndex: top, endRowIndex: bottom, startColumnIndex: left, endColumnIndex: right
+  });
+  // Data columns of one value: values repeat left to right under each column group
+  const valueColumns = (index, withTotals) => {
+    const cols = [];
+    const end = block.right - (withTotals ? 0 : block.grandCols);
+    const step = Math.max(block.valueCount, 1);
+    for (let c = block.dataLeft + (block.valueCount > 1 ? index : 0); c < end; c += step) cols.push(c);
+    return cols;
+  };
+
+  format.numberFormats.forEach(nf => {
+    valueColumns(nf.index, true).forEach(c => requests.push({
+      repeatCell: {
+        range: range(block.dataTop, block.bottom, c, c + 1),
+        cell: { userEnteredFormat: { numberFormat: nf.numberFormat } },
+        fields: 'userEnteredFormat.numberFormat'
+      }
+    }));
+  });
+
+  if (format.header) {
+    const userEnteredFormat = {
+      textFormat: { bold: format.header.bold },
+      backgroundColor: format.header.background
+    };
+    const fields = ['userEnteredFormat.textFormat.bold', 'userEnteredFormat.backgroundColor'];
+    if (format.header.fontColor) {
+      userEnteredFormat.textFormat.foregroundColor = format.header.fontColor;
+      fields.push('userEnteredFormat.textFormat.foregroundColor');
+    }
+    requests.push({
+      repeatCell: {
+        range: range(block.top, block.dataTop, block.left, block.right),
+        cell: { userEnteredFormat },
+        fields: fields.join(',')
+      }
+    });
+  }
+
+  if (format.banding) {
+    requests.push({
+      addBanding: {
+        bandedRange: {
+          range: range(block.dataTop, block.bottom, block.left, block.right),
+          rowProperties: format.banding
+        }
+      }
+    });
+  }
+
+  if (format.colorScale) {
+    const cs = format.colorScale;
+    const gradientRule = {
+      minpoint: { type: 'MIN', color: cs.minColor },
+      maxpoint: { type: 'MAX', color: cs.maxColor }
+    };
+    if (cs.midColor) gradientRule.midpoint = { type: 'PERCENTILE', value: '50', color: cs.midColor };
+    const ranges = [];
+    cs.indexes.forEach(i => valueColumns(i, false).forEach(c => {
+      ranges.push(range(block.dataTop, block.bottom - block.grandRow, c, c + 1));
+    }));
+    if (ranges.length) {
+      requests.push({ addConditionalFormatRule: { rule: { ranges, gradientRule }, index: 0 } });
+    }
+  }
+
+  const gridProperties = {};
+  if (format.freezeHeaderRows) gridProperties.frozenRowCount = block.dataTop;
+  if (format.hiddenGridlines) gridProperties.hideGridlines = true;
+  const gridFields = Object.keys(gridProperties);
+  if (gridFields.length) {
+    requests.push({
+      updateSheetProperties: {
+        properties: { sheetId: block.sheetId, gridProperties },
+        fields: gridFields.map(f => 'gridProperties.' + f).join(',')
+      }
+    });
+  }
+
+  if (format.autoResize) {
+    requests.push({
+      autoResizeDimensions: {
+        dimensions: { sheetId: block.sheetId, dimension: 'COLUMNS', startIndex: block.left, endIndex: block.right }
+      }
+    });
+  }
+  return requests;
+}
+
+/**
+ * Bandings and conditional format rules per sheet, read only when some format adds them
+ * (so that a rebuild can drop the ones from the previous build).
+ * formatted: Array<{ block, format }> with normalized formats
+ */
+function readPivotFormatState_(spreadsheetId, formatted) {
+  const state = {};
+  if (!formatted.some(f => f.format.banding || f.format.colorScale)) return state;
+  const response = Sheets.Spreadsheets.get(spreadsheetId, {
+    fields: 'sheets(properties.sheetId,bandedRanges(bandedRangeId,range),conditionalFormats(ranges))'
+  });
+  (response.sheets || []).forEach(sheet => {
+    state[sheet.properties.sheetId || 0] = {
+      bandedRanges: sheet.bandedRanges || [],
+      conditionalFormats: sheet.conditionalFormats || []
+    };
+  });
+  return state;
+}
+
+/**
+ * Requests removing bandings that overlap a block being banded and conditional format
+ * rules whose bounded ranges all start inside a block getting a color scale (the previous
+ * build may have drawn a larger pivot), so re-running a config does not stack them. Rules
+ * are deleted from the highest index down so earlier deletes do not shift later ones.
+ */
+function pivotFormatCleanupRequests_(state, formatted) {
+  const requests = [];
+  const startsInside = (r, b) => (r.sheetId || 0) === b.sheetId &&
+    r.endRowIndex != null && r.endColumnIndex != null &&
+    (r.startRowIndex || 0) >= b.top && (r.startRowIndex || 0) < b.bottom &&
+    (r.startColumnIndex || 0) >= b.left && (r.startColumnIndex || 0) < b.right;
+  const overlaps = (r, b) => (r.sheetId || 0) === b.sheetId &&
+    (r.startRowIndex || 0) < b.bottom && r.endRowIndex > b.top &&
+    (r.startColumnIndex || 0) < b.right && r.endColumnIndex > b.left;
+
+  Object.keys(state).forEach(sheetId => {
+    const banded = formatted.filter(f => String(f.block.sheetId) === sheetId && f.format.banding).map(f => f.block);
+    const scaled = formatted.filter(f => String(f.block.sheetId) === sheetId && f.format.colorScale).map(f => f.block);
+    state[sheetId].bandedRanges
+      .filter(br => banded.some(b => overlaps(br.range, b)))
+      .forEach(br => requests.push({ deleteBanding: { bandedRangeId: br.bandedRangeId } }));
+    state[sheetId].conditionalFormats
+      .map((rule, index) => ({ rule, index }))
+      .filter(x => (x.rule.ranges || []).length && x.rule.ranges.every(r => scaled.some(b => startsInside(r, b))))
+      .reverse()
+      .forEach(x => requests.push({ deleteConditionalFormatRule: { sheetId: Number(sheetId), index: x.index } }));
+  });
+  return requests;
+}
+
+/**
+ * Update an existing pivot table in place.
+ *
+ * Reads the current pivot definition at destinationSheet!anchorCellA1, replaces only the
+ * parts present in config and writes it back. Everything else (including parts of the
+ * definition this builder does not model) is kept as-is.
+ *
+ * Config schema:
+ * {
+ *   spreadsheetId?: string        // file holding the pivot (and its source); default active
+ *   destinationSheet: string      // sheet holding the pivot
+ *   anchorCellA1?: string         // default "A1"
+ *   sourceSheet?: string          // with sourceRangeA1 (or sourceRange): point the pivot at a new source
+ *   sourceRangeA1?: string
+ *   sourceRange?: SourceRangeSpec
+ *   headerMatch?: { ignoreCase?: boolean, normalizeWhitespace?: boolean }
+ *   rows?, columns?, values?, filters?  // same shape as createPivotTable; replaces that part when present
+ * }
+ *
+ * Column references are resolved against the new source if given, otherwise the pivot's current source.
+ * With a new source, the parts config leaves out keep their columns by header name; the update
+ * fails without writing if one of those headers is not in the new source.
+ */
+function updatePivotTable(config) {
+  const ss = openSpreadsheet_(config.spreadsheetId);
+  const spreadsheetId = ss.getId();
+  const anchorA1 = config.anchorCellA1 || 'A1';
+
+  const destSheet = ss.getSheetByName(config.destinationSheet);
+  if (!destSheet) {
+    throw new Error(`Destination sheet "${config.destinationSheet}" not found.`);
+  }
+  const existing = readPivotTable_(spreadsheetId, config.destinationSheet, anchorA1);
+  if (!existing) {
+    throw new Error(`No pivot table found at ${config.destinationSheet}!${anchorA1}.`);
+  }
+
+  // Resolve source range: new one from config, else the pivot's current source
+  let sourceRange;
+  if (config.sourceRange) {
+    sourceRange = resolveSourceRange_(ss, config);
+  } else if (config.sourceSheet || config.sourceRangeA1) {
+    if (!config.sourceSheet || !config.sourceRangeA1) {
+      throw new Error('sourceSheet and sourceRangeA1 must be given together.');
+    }
+    sourceRange = resolveSourceRange_(ss, config);
+  } else {
+    sourceRange = gridRangeToRange_(ss, existing.source);
+  }
+  const headerValues = sourceRange.offset(0, 0, 1, sourceRange.getNumColumns()).getValues()[0];
+  const headerMap = buildHeaderMap_(headerValues);
+  const toOffset = (colRef) => colRefToOffset_(colRef, sourceRange, headerMap, config.headerMatch);
+  const toColRef = (offset) => offsetToColRef_(offset, sourceRange, headerMap, headerValues);
+
+  // Kept rows, columns, values and filters point at columns of the old source; follow their headers
+  const pivotTable = Object.assign({}, existing, { source: rangeToGridRange_(sourceRange) });
+  if (config.sourceRange || config.sourceSheet) {
+    const oldRange = gridRangeToRange_(ss, existing.source);
+    const oldHeaders = oldRange.offset(0, 0, 1, oldRange.getNumColumns()).getValues()[0];
+    remapPivotOffsets_(pivotTable, config, oldHeaders, headerValues);
+  }
+
+  // sortBy in rows/columns refers to the new values if given, else the pivot's current ones
+  const valueSpecs = config.values || (pivotTable.values || []).map(v => fromPivotValue_(v, toColRef));
+
+  if (config.rows) pivotTable.rows = config.rows.map(r => toPivotGroup_(toOffset(r.column), r, valueSpecs));
+  if (config.columns) pivotTable.columns = config.columns.map(c => toPivotGroup_(toOffset(c.column), c, valueSpecs));
+  if (config.values) pivotTable.values = config.values.map(v => buildPivotValue_(v, toOffset, headerMap, config.headerMatch));
+  if (config.valueLayout) pivotTable.valueLayout = normalizeValueLayout_(config.valueLayout);
+  if (config.filters) {
+    pivotTable.filterSpecs = config.filters.map(f => toPivotFilterSpec_(toOffset(f.column), f));
+    delete pivotTable.criteria; // legacy filter map; filterSpecs supersedes it
+  }
+
+  const anchorStart = anchorToGridCoordinate_(destSheet, anchorA1);
+  Sheets.Spreadsheets.batchUpdate(
+    { requests: [pivotUpdateCellsRequest_(anchorStart, pivotTable)] },
+    spreadsheetId
+  );
+}
+
+/**
+ * Move the source column offsets of the pivot sections that config does not replace from the
+ * old source's headers to the new one's, matching by header name (the nth "Amount" stays the
+ * nth). Throws, naming every column, when a header is blank or missing from the new source.
+ */
+function remapPivotOffsets_(pivotTable, config, oldHeaders, newHeaders) {
+  const oldMap = buildHeaderMap_(oldHeaders);
+  const newMap = buildHeaderMap_(newHeaders);
+  const missing = [];
+  const remap = (offset, section) => {
+    const name = String(oldHeaders[offset] || '').trim();
+    const nth = name ? oldMap[name].indexOf(offset) : -1;
+    const offsets = name && newMap.hasOwnProperty(name) ? newMap[name] : [];
+    if (nth < 0 || nth >= offsets.length) {
+      missing.push(`${name ? `"${name}"` : `column ${colIndex1ToLetter_(offset + 1)} (no header)`} in ${section}`);
+      return offset;
+    }
+    return offsets[nth];
+  };
+
+  ['rows', 'columns'].forEach(section => {
+    if (config[section] || !pivotTable[section]) return;
+    pivotTable[section] = pivotTable[section].map(g =>
+      Object.assign({}, g, { sourceColumnOffset: remap(g.sourceColumnOffset || 0, section) }));
+  });
+  if (!config.values && pivotTable.values) {
+    pivotTable.values = pivotTable.values.map(v => v.sourceColumnOffset == null ? v
+      : Object.assign({}, v, { sourceColumnOffset: remap(v.sourceColumnOffset, 'values') }));
+  }
+  if (!config.filters && pivotTable.filterSpecs) {
+    pivotTable.filterSpecs = pivotTable.filterSpecs.map(f =>
+      Object.assign({}, f, { columnOffsetIndex: remap(f.columnOffsetIndex || 0, 'filters') }));
+  }
+  if (!config.filters && pivotTable.criteria) {
+    const criteria = {};
+    Object.keys(pivotTable.criteria).forEach(key => {
+      criteria[remap(Number(key), 'filters')] = pivotTable.criteria[key];
+    });
+    pivotTable.criteria = criteria;
+  }
+
+  if (missing.length) {
+    throw new Error(`The new source lacks columns the pivot uses: ${missing.join(', ')}. ` +
+      'Rename the headers or pass rows, columns, values and filters for the new source.');
+  }
+}
+
+/**
+ * Dry-run a createPivotTable config without writing anything.
+ *
+ * Resolves the source sheet and range and every row, column, value and filter reference,
+ * and checks sort orders, summarize functions, CUSTOM formulas and groupRule shapes.
+ * Unlike createPivotTable it keeps going after a problem and reports all of them.
+ *
+ * @return {Array<{ path: string, message: string }>} empty when the config is valid.
+ *   path is the config key ("sourceRangeA1") or "<section>.<index>" (e.g. "rows.0").
+ */
+function validatePivotConfig(config) {
+  const problems = [];
+  const check = (path, fn) => {
+    try {
+      return fn();
+    } catch (e) {
+      problems.push({ path, message: e.message });
+    }
+  };
+
+  if (!config || typeof config !== 'object') {
+    return [{ path: 'config', message: 'Config must be an object.' }];
+  }
+  const ss = check('spreadsheetId', () => openSpreadsheet_(config.spreadsheetId));
+  if (!ss) return problems;
+  if (config.destinationSpreadsheetId) {
+    check('destinationSpreadsheetId', () => openSpreadsheet_(config.destinationSpreadsheetId));
+  }
+
+  // Source (a named range does not need sourceSheet)
+  let sourceRange;
+  const usesNamedRange = !!(config.sourceRange && config.sourceRange.namedRange);
+  const sourceSheet = usesNamedRange || check('sourceSheet', () => {
+    if (!config.sourceSheet) throw new Error('sourceSheet is required.');
+    const sheet = ss.getSheetByName(config.sourceSheet);
+    if (!sheet) throw new Error(`Source sheet "${config.sourceSheet}" not found.`);
+    return sheet;
+  });
+  if (sourceSheet) {
+    sourceRange = check(config.sourceRange != null ? 'sourceRange' : 'sourceRangeA1', () => resolveSourceRange_(ss, config));
+  }
+
+  // Destination (the sheet may not exist yet; createPivotTable creates it)
+  check('destinationSheet', () => {
+    if (!config.destinationSheet || !String(config.destinationSheet).trim()) {
+      throw new Error('destinationSheet is required.');
+    }
+  });
+  check('placement', () => {
+    const modes = ['error', 'replace', 'below', 'right'];
+    if (config.placement != null && modes.indexOf(String(config.placement).toLowerCase()) === -1) {
+      throw new Error(`Unsupported placement "${config.placement}". Use one of ${modes.join(', ')}.`);
+    }
+  });
+  check('valueLayout', () => {
+    if (config.valueLayout != null) normalizeValueLayout_(config.valueLayout);
+  });
+  check('format', () => {
+    if (config.format != null) {
+      const layout = config.valueLayout != null ? normalizeValueLayout_(config.valueLayout) : null;
+      normalizePivotFormat_(config.format, config.values || [], layout);
+    }
+  });
+  check('anchorCellA1', () => {
+    if (config.anchorCellA1 != null && !/^[A-Za-z]+[1-9][0-9]*$/.test(String(config.anchorCellA1).trim())) {
+      throw new Error(`anchorCellA1 must be a single cell like "A1". Got "${config.anchorCellA1}".`);
+    }
+  });
+
+  // Fields. Without a resolvable source only the column-independent checks can run.
+  let headerMap = null;
+  let toOffset = () => 0;
+  if (sourceRange) {
+    const headerValues = sourceRange.offset(0, 0, 1, sourceRange.getNumColumns()).getValues()[0];
+    headerMap = buildHeaderMap_(headerValues);
+    toOffset = (colRef) => colRefToOffset_(colRef, sourceRange, headerMap, config.headerMatch);
+  }
+  const sections = {
+    rows: (spec) => {
+      const group = toPivotGroup_(toOffset(spec.column), spec, Array.isArray(config.values) ? config.values : []);
+      if (group.groupRule) {
+        const ruleProblems = validateGroupRule_(group.groupRule);
+        if (ruleProblems.length) throw new Error(`Invalid groupRule: ${ruleProblems.join(' ')}`);
+      }
+    },
+    values: (spec) => {
+      const value = buildPivotValue_(spec, toOffset, headerMap, config.headerMatch);
+      if (value.summarizeFunction === 'CUSTOM' && !value.formula) {
+        throw new Error('summarizeFunction CUSTOM requires a formula.');
+      }
+    },
+    filters: (spec) => toPivotFilterSpec_(toOffset(spec.column), spec)
+  };
+  sections.columns = sections.rows;
+
+  ['rows', 'columns', 'values', 'filters'].forEach(section => {
+    const specs = config[section];
+    if (specs == null) return;
+    if (!Array.isArray(specs)) {
+      problems.push({ path: section, message: `${section} must be an array.` });
+      return;
+    }
+    specs.forEach((spec, i) => {
+      const path = `${section}.${i}`;
+      if (!spec || typeof spec !== 'object') {
+        problems.push({ path, message: 'Entry must be an object.' });
+        return;
+      }
+      check(path, () => sections[section](spec));
+    });
+  });
+
+  return problems;
+}
+
+/**
+ * Check the shape of a Sheets API PivotGroupRule.
+ * @return {string[]} problems; empty when valid.
  */
-function createPivotTable(config) {
-  const ss = SpreadsheetApp.getActive();
-  const spreadsheetId = config.spreadsheetId || ss.getId();
+function validateGroupRule_(rule) {
+  if (!rule || typeof rule !== 'object') return ['groupRule must be an object.'];
+  const kinds = ['manualRule', 'histogramRule', 'dateTimeRule'].filter(k => rule[k] != null);
+  if (kinds.length !== 1) {
+    return ['groupRule needs exactly one of manualRule, histogramRule or dateTimeRule.'];
+  }
 
-  // Resolve source range
-  const sourceSheet = ss.getSheetByName(config.sourceSheet);
-  if (!sourceSheet) {
-    throw new Error(`Source sheet "${config.sourceSheet}" not found.`);
+  const problems = [];
+  if (rule.histogramRule) {
+    const h = rule.histogramRule;
+    if (typeof h.interval !== 'number' || !(h.interval > 0)) {
+      problems.push('histogramRule.interval must be a positive number.');
+    }
+    if (h.start != null && typeof h.start !== 'number') problems.push('histogramRule.start must be a number.');
+    if (h.end != null && typeof h.end !== 'number') problems.push('histogramRule.end must be a number.');
+    if (typeof h.start === 'number' && typeof h.end === 'number' && h.start >= h.end) {
+      problems.push('histogramRule.start must be less than end.');
+    }
+  } else if (rule.dateTimeRule) {
+    const types = ['SECOND', 'MINUTE', 'HOUR', 'HOUR_MINUTE', 'HOUR_MINUTE_AMPM', 'DAY_OF_WEEK', 'DAY_OF_YEAR',
+      'DAY_OF_MONTH', 'DAY_MONTH', 'MONTH', 'QUARTER', 'YEAR', 'YEAR_MONTH', 'YEAR_QUARTER', 'YEAR_MONTH_DAY'];
+    if (types.indexOf(rule.dateTimeRule.type) === -1) {
+      problems.push(`dateTimeRule.type "${rule.dateTimeRule.type}" is not one of ${types.join(', ')}.`);
+    }
+  } else {
+    const groups = rule.manualRule.groups;
+    if (!Array.isArray(groups) || groups.length === 0) {
+      problems.push('manualRule.groups must be a non-empty array.');
+    } else {
+      groups.forEach((g, i) => {
+        if (!g || !g.groupName) problems.push(`manualRule.groups[${i}] needs a groupName.`);
+        if (!g || !Array.isArray(g.items) || g.items.length === 0) {
+          problems.push(`manualRule.groups[${i}].items must be a non-empty array.`);
+        }
+      });
+    }
+  }
+  return problems;
+}
+
+/**
+ * Remove the pivot table anchored at destinationSheet!anchorCellA1.
+ * Throws if there is no pivot table at that cell.
+ * spreadsheetId is optional and defaults to the active spreadsheet.
+ */
+function deletePivotTable(destinationSheet, anchorCellA1, spreadsheetId) {
+  const ss = openSpreadsheet_(spreadsheetId);
+  const id = ss.getId();
+  const anchorA1 = anchorCellA1 || 'A1';
+
+  const destSheet = ss.getSheetByName(destinationSheet);
+  if (!destSheet) {
+    throw new Error(`Destination sheet "${destinationSheet}" not found.`);
+  }
+  if (!readPivotTable_(id, destinationSheet, anchorA1)) {
+    throw new Error(`No pivot table found at ${destinationSheet}!${anchorA1}.`);
   }
-  const sourceRange = sourceSheet.getRange(config.sourceRangeA1);
+
+  // Writing a cell without a pivotTable under the 'pivotTable' field mask clears it
+  const anchorStart = anchorToGridCoordinate_(destSheet, anchorA1);
+  Sheets.Spreadsheets.batchUpdate(
+    {
+      requests: [{
+        updateCells: {
+          start: anchorStart,
+          rows: [{ values: [{}] }],
+          fields: 'pivotTable'
+        }
+      }]
+    },
+    id
+  );
+}
+
+/**
+ * Read an existing pivot table back into the config schema createPivotTable accepts.
+ *
+ * Source offsets are mapped to header names where the header is unique, otherwise to
+ * column letters, so the result can be stored as JSON and passed to createPivotTable later.
+ * Works for pivots built by hand or by the recorded macros as well as by this builder.
+ * spreadsheetId is optional and defaults to the active spreadsheet.
+ */
+function exportPivotConfig(sheetName, anchorCellA1, spreadsheetId) {
+  const ss = openSpreadsheet_(spreadsheetId);
+  const anchorA1 = anchorCellA1 || 'A1';
+  const pivot = readPivotTable_(ss.getId(), sheetName, anchorA1);
+  if (!pivot) {
+    throw new Error(`No pivot table found at ${sheetName}!${anchorA1}.`);
+  }
+  if (!pivot.source) {
+    throw new Error(`Pivot table at ${sheetName}!${anchorA1} is not backed by a grid range (data source pivots are not supported).`);
+  }
+
+  const sourceRange = gridRangeToRange_(ss, pivot.source);
   const headerValues = sourceRange.offset(0, 0, 1, sourceRange.getNumColumns()).getValues()[0];
+  const headerMap = buildHeaderMap_(headerValues);
+  const toColRef = (offset) => offsetToColRef_(offset, sourceRange, headerMap, headerValues);
 
-  // Resolve destination sheet (create if missing)
-  const destSheet = ensureSheet_(ss, config.destinationSheet);
+  const values = (pivot.values || []).map(v => fromPivotValue_(v, toColRef));
+  const config = {};
+  if (spreadsheetId) {
+    config.spreadsheetId = spreadsheetId;
+  }
+  Object.assign(config, {
+    sourceSheet: sourceRange.getSheet().getName(),
+    sourceRangeA1: sourceRange.getA1Notation(),
+    destinationSheet: sheetName,
+    anchorCellA1: anchorA1,
+    rows: (pivot.rows || []).map(g => fromPivotGroup_(g, toColRef, values)),
+    columns: (pivot.columns || []).map(g => fromPivotGroup_(g, toColRef, values)),
+    values
+  });
+  if (pivot.valueLayout && pivot.valueLayout !== 'HORIZONTAL') {
+    config.valueLayout = pivot.valueLayout;
+  }
 
-  const sourceGridRange = rangeToGridRange_(sourceRange);
-  const headerMap = buildHeaderMap_(headerValues); // name -> 0-based offset within sourceRange
-  const toOffset = (colRef) => colRefToOffset_(colRef, sourceRange, headerMap);
+  // filterSpecs is current; criteria is the legacy offset -> criteria map
+  const filters = (pivot.filterSpecs || [])
+    .filter(f => f.columnOffsetIndex != null)
+    .map(f => fromPivotFilterCriteria_(toColRef(f.columnOffsetIndex), f.filterCriteria || {}));
+  Object.keys(pivot.criteria || {}).forEach(key => {
+    filters.push(fromPivotFilterCriteria_(toColRef(Number(key)), pivot.criteria[key]));
+  });
+  const activeFilters = filters.filter(Boolean);
+  if (activeFilters.length) {
+    config.filters = activeFilters;
+  }
+  return config;
+}
 
-  // Build PivotGroups (rows/columns)
-  const rows = (config.rows || []).map(r => toPivotGroup_(toOffset(r.column), r));
-  const columns = (config.columns || []).map(c => toPivotGroup_(toOffset(c.column), c));
+/**
+ * Map a 0-based source offset back to a column reference: the header name when it is
+ * unique, "Name#n" for the nth of several columns with that header, else the column letter.
+ */
+function offsetToColRef_(offset, sourceRange, headerMap, headerValues) {
+  const name = String(headerValues[offset] || '').trim();
+  const offsets = name && headerMap.hasOwnProperty(name) ? headerMap[name] : [];
+  if (offsets.length === 1 && offsets[0] === offset) {
+    return name;
+  }
+  const nth = `${name}#${offsets.indexOf(offset) + 1}`;
+  if (offsets.length > 1 && !headerMap.hasOwnProperty(nth)) {
+    return nth;
+  }
+  return colIndex1ToLetter_(sourceRange.getColumn() + offset);
+}
 
-  // Build PivotValues
-  const values = (config.values || []).map(v => toPivotValue_(toOffset(v.column), v));
+/**
+ * Inverse of toPivotGroup_. valueSpecs are the exported values, used to name sortBy targets.
+ */
+function fromPivotGroup_(group, toColRef, valueSpecs) {
+  const spec = {
+    column: toColRef(group.sourceColumnOffset || 0),
+    showTotals: group.showTotals !== false,
+    sortOrder: group.sortOrder === 'DESCENDING' ? 'DESC' : 'ASC'
+  };
+  if (group.groupRule) spec.groupRule = group.groupRule;
+  if (group.valueBucket) {
+    const index = group.valueBucket.valuesIndex || 0;
+    const target = (valueSpecs || [])[index];
+    spec.sortBy = { value: target && target.name ? target.name : index };
+    const buckets = (group.valueBucket.buckets || []).map(b =>
+      b.numberValue != null ? b.numberValue : b.boolValue != null ? b.boolValue : b.stringValue);
+    if (buckets.length) spec.sortBy.buckets = buckets;
+  }
+  return spec;
+}
 
-  const destSheetId = destSheet.getSheetId();
-  const anchorA1 = config.anchorCellA1 || 'A1';
-  const anchor = destSheet.getRange(anchorA1);
-  const anchorStart = {
-    sheetId: destSheetId,
+/**
+ * Inverse of toPivotValue_.
+ */
+function fromPivotValue_(value, toColRef) {
+  const spec = {};
+  if (value.sourceColumnOffset != null) spec.column = toColRef(value.sourceColumnOffset);
+  spec.summarizeFunction = value.summarizeFunction || 'SUM';
+  if (value.name) spec.name = value.name;
+  if (value.formula) spec.formula = value.formula;
+  if (value.calculatedDisplayType) spec.calculatedDisplayType = value.calculatedDisplayType;
+  return spec;
+}
+
+/**
+ * Inverse of toPivotFilterSpec_ for a single PivotFilterCriteria.
+ * Returns null for criteria that do not filter anything.
+ */
+function fromPivotFilterCriteria_(colRef, criteria) {
+  const spec = { column: colRef };
+  if (criteria.condition) {
+    spec.condition = { type: criteria.condition.type };
+    if (criteria.condition.values && criteria.condition.values.length) {
+      spec.condition.values = criteria.condition.values.map(v =>
+        v.relativeDate ? { relativeDate: v.relativeDate } : v.userEnteredValue);
+    }
+  } else if (criteria.visibleValues && criteria.visibleValues.length) {
+    spec.visibleValues = criteria.visibleValues;
+  } else {
+    return null;
+  }
+  if (criteria.visibleByDefault != null) spec.visibleByDefault = criteria.visibleByDefault;
+  return spec;
+}
+
+/**
+ * Read the Sheets API PivotTable definition anchored at sheetName!anchorA1.
+ * Returns null when the cell holds no pivot table.
+ */
+function readPivotTable_(spreadsheetId, sheetName, anchorA1) {
+  const response = Sheets.Spreadsheets.get(spreadsheetId, {
+    ranges: [`${quoteSheetName_(sheetName)}!${anchorA1}`],
+    fields: 'sheets.data.rowData.values.pivotTable'
+  });
+  const cell = (((((response.sheets || [])[0] || {}).data || [])[0] || {}).rowData || [])[0];
+  const value = cell && cell.values && cell.values[0];
+  return (value && value.pivotTable) || null;
+}
+
+/**
+ * Build the updateCells request that writes a pivot table at anchorStart.
+ */
+function pivotUpdateCellsRequest_(anchorStart, pivotTable) {
+  return {
+    updateCells: {
+      start: anchorStart,
+      rows: [{ values: [{ pivotTable }] }],
+      fields: 'pivotTable'
+    }
+  };
+}
+
+/**
+ * Convert an A1 cell on a sheet to a Sheets API GridCoordinate (0-based).
+ */
+function anchorToGridCoordinate_(sheet, anchorA1) {
+  const anchor = sheet.getRange(anchorA1);
+  return {
+    sheetId: sheet.getSheetId(),
     rowIndex: anchor.getRow() - 1,
     columnIndex: anchor.getColumn() - 1,
   };
+}
 
-  const pivotTable = {
-    source: sourceGridRange,
-    rows,
-    columns,
-    values
-    // filters: [], // You can extend with filters via the Sheets API if needed
+/**
+ * Convert an A1 cell like "B2" to a GridCoordinate on sheetId without a SpreadsheetApp call.
+ */
+function a1ToGridCoordinate_(sheetId, anchorA1) {
+  const m = /^([A-Za-z]+)([1-9][0-9]*)$/.exec(String(anchorA1).trim());
+  if (!m) {
+    throw new Error(`Anchor must be a single cell like "A1". Got "${anchorA1}".`);
+  }
+  return {
+    sheetId,
+    rowIndex: Number(m[2]) - 1,
+    columnIndex: letterToColIndex1_(m[1]) - 1,
   };
+}
 
-  const requests = [
-    {
-      updateCells: {
-        start: anchorStart,
-        rows: [{ values: [{ pivotTable }] }],
-        fields: 'pivotTable'
-      }
-    }
-  ];
+/**
+ * Quote a sheet name for use in A1 notation, e.g. My Sheet -> 'My Sheet'.
+ */
+function quoteSheetName_(name) {
+  return `'${String(name).replace(/'/g, "''")}'`;
+}
 
-  Sheets.Spreadsheets.batchUpdate(
-    { requests },
-    spreadsheetId
-  );
+/**
+ * Open a spreadsheet by id, or the active one when no id is given.
+ */
+function openSpreadsheet_(spreadsheetId) {
+  const active = SpreadsheetApp.getActive();
+  if (!spreadsheetId || (active && active.getId() === spreadsheetId)) {
+    if (!active) throw new Error('No active spreadsheet; pass a spreadsheetId.');
+    return active;
+  }
+  try {
+    return SpreadsheetApp.openById(spreadsheetId);
+  } catch (e) {
+    throw new Error(`Cannot open spreadsheet "${spreadsheetId}": ${e.message}`);
+  }
+}
+
+/**
+ * Mirror sourceRange into a staging sheet of another spreadsheet with IMPORTRANGE.
+ * The copy starts at A1 and has the same size, so it can serve as the pivot source there.
+ * The first import between two files needs "Allow access" clicked once in the staging sheet.
+ */
+function stageImportRange_(destSs, sourceRange, stagingSheetName) {
+  const sourceSheet = sourceRange.getSheet();
+  const name = stagingSheetName || `${sourceSheet.getName()} (import)`;
+  const staging = ensureSheet_(destSs, name);
+  const numRows = sourceRange.getNumRows();
+  const numCols = sourceRange.getNumColumns();
+
+  // IMPORTRANGE does not grow the sheet; make room for the whole block
+  if (staging.getMaxRows() < numRows) {
+    staging.insertRowsAfter(staging.getMaxRows(), numRows - staging.getMaxRows());
+  }
+  if (staging.getMaxColumns() < numCols) {
+    staging.insertColumnsAfter(staging.getMaxColumns(), numCols - staging.getMaxColumns());
+  }
+
+  const sourceId = sourceSheet.getParent().getId();
+  const rangeRef = `${quoteSheetName_(sourceSheet.getName())}!${sourceRange.getA1Notation()}`;
+  staging.clearContents();
+  staging.getRange(1, 1).setFormula(`=IMPORTRANGE("${sourceId}", "${rangeRef.replace(/"/g, '""')}")`);
+  return staging.getRange(1, 1, numRows, numCols);
 }
 
 /**
@@ -155,14 +1626,32 @@ function rangeToGridRange_(range) {
 }
 
 /**
- * Build header name -> 0-based offset map.
+ * Convert a Sheets API GridRange back to a SpreadsheetApp Range.
+ * Missing (unbounded) indexes extend to the edge of the sheet.
+ */
+function gridRangeToRange_(ss, gridRange) {
+  const sheetId = gridRange.sheetId || 0;
+  const sheet = ss.getSheets().find(s => s.getSheetId() === sheetId);
+  if (!sheet) {
+    throw new Error(`Sheet with id ${sheetId} not found.`);
+  }
+  const startRow = gridRange.startRowIndex || 0;
+  const startCol = gridRange.startColumnIndex || 0;
+  const endRow = gridRange.endRowIndex != null ? gridRange.endRowIndex : sheet.getMaxRows();
+  const endCol = gridRange.endColumnIndex != null ? gridRange.endColumnIndex : sheet.getMaxColumns();
+  return sheet.getRange(startRow + 1, startCol + 1, endRow - startRow, endCol - startCol);
+}
+
+/**
+ * Build header name -> 0-based offsets map. Duplicate headers keep every offset, left to right.
  */
 function buildHeaderMap_(headerRowValues) {
   const map = {};
   for (let i = 0; i < headerRowValues.length; i++) {
     const name = String(headerRowValues[i] || '').trim();
     if (name) {
-      map[name] = i;
+      if (!map.hasOwnProperty(name)) map[name] = [];
+      map[name].push(i);
     }
   }
   return map;
@@ -172,10 +1661,17 @@ function buildHeaderMap_(headerRowValues) {
  * Convert a column reference to 0-based offset within the source range.
  * Accepts:
  * - header name: "Amount"
+ * - nth duplicate header: "Amount#2"
  * - column letter: "C" or "AA"
  * - 1-based index: 3
+ *
+ * A string is tried as an exact header first, then as column letters inside the source
+ * range, then as a header per options (any case, any spacing), so a header "c" or a
+ * reference "ad" never shadows the column letters C / AD.
+ *
+ * options: { ignoreCase?: boolean, normalizeWhitespace?: boolean }, both default true.
  */
-function colRefToOffset_(colRef, sourceRange, headerMap) {
+function colRefToOffset_(colRef, sourceRange, headerMap, options) {
   if (colRef == null) throw new Error('Column reference is required.');
   let absoluteColIndex; // 1-based absolute column index in sheet
 
@@ -184,16 +1680,21 @@ function colRefToOffset_(colRef, sourceRange, headerMap) {
     absoluteColIndex = colRef;
   } else if (typeof colRef === 'string') {
     const trimmed = colRef.trim();
-    if (headerMap.hasOwnProperty(trimmed)) {
-      // header name
-      const offset = headerMap[trimmed];
-      return offset;
-    }
-    // Try as column letters
-    const m = /^[A-Za-z]+$/.test(trimmed);
-    if (m) {
+    const opts = Object.assign({ ignoreCase: true, normalizeWhitespace: true }, options);
+
+    const exact = findHeaderOffset_(colRef, trimmed, sourceRange, headerMap, { ignoreCase: false, normalizeWhitespace: false });
+    if (exact != null) return exact;
+
+    // Column letters (at most 3, as in "ZZZ"), when they fall inside the source range
+    if (/^[A-Za-z]{1,3}$/.test(trimmed)) {
       absoluteColIndex = letterToColIndex1_(trimmed);
-    } else {
+      const letterOffset = absoluteColIndex - sourceRange.getColumn();
+      if (letterOffset >= 0 && letterOffset < sourceRange.getNumColumns()) return letterOffset;
+    }
+
+    const loose = findHeaderOffset_(colRef, trimmed, sourceRange, headerMap, opts);
+    if (loose != null) return loose;
+    if (absoluteColIndex == null) {
       throw new Error(`Unknown column reference "${colRef}". Use header name, column letter (e.g., "C"), or 1-based index.`);
     }
   } else {
@@ -208,6 +1709,62 @@ function colRefToOffset_(colRef, sourceRange, headerMap) {
   return offset;
 }
 
+/**
+ * Offset of the header named trimmed, or of its nth duplicate ("Amount#2"), matched per
+ * options. Null when no header matches; throws when the match is ambiguous or n is out of range.
+ */
+function findHeaderOffset_(colRef, trimmed, sourceRange, headerMap, options) {
+  const describe = (m) => `${colIndex1ToLetter_(sourceRange.getColumn() + m.offset)} ("${m.name}")`;
+  const matches = findHeaderMatches_(trimmed, headerMap, options);
+  if (matches.length === 1) {
+    return matches[0].offset;
+  }
+  if (matches.length > 1) {
+    throw new Error(`Column reference "${colRef}" is ambiguous; it matches ${matches.map(describe).join(', ')}. ` +
+      `Use "${trimmed}#1", "${trimmed}#2", ... or a column letter.`);
+  }
+
+  // nth duplicate: "Amount#2"
+  const nth = /^(.+?)\s*#(\d+)$/.exec(trimmed);
+  if (nth) {
+    const candidates = findHeaderMatches_(nth[1], headerMap, options);
+    const n = Number(nth[2]);
+    if (candidates.length && (n < 1 || n > candidates.length)) {
+      throw new Error(`Column reference "${colRef}" is out of range; "${nth[1]}" matches ${candidates.map(describe).join(', ')}.`);
+    }
+    if (candidates.length) {
+      return candidates[n - 1].offset;
+    }
+  }
+  return null;
+}
+
+/**
+ * Headers matching name, left to right: the exact header when present, otherwise every
+ * header equal to name after the normalizations turned on in options.
+ * @return {Array<{ name: string, offset: number }>}
+ */
+function findHeaderMatches_(name, headerMap, options) {
+  if (headerMap.hasOwnProperty(name)) {
+    return headerMap[name].map(offset => ({ name, offset }));
+  }
+  const key = normalizeHeaderName_(name, options);
+  const matches = [];
+  Object.keys(headerMap).forEach(header => {
+    if (normalizeHeaderName_(header, options) === key) {
+      headerMap[header].forEach(offset => matches.push({ name: header, offset }));
+    }
+  });
+  return matches.sort((a, b) => a.offset - b.offset);
+}
+
+function normalizeHeaderName_(name, options) {
+  let s = String(name);
+  if (options.normalizeWhitespace) s = s.replace(/\s+/g, ' ').trim();
+  if (options.ignoreCase) s = s.toLowerCase();
+  return s;
+}
+
 /**
  * Convert column letters to 1-based index. e.g., A=1, Z=26, AA=27
  */
@@ -220,34 +1777,363 @@ function letterToColIndex1_(letters) {
   return n;
 }
 
+/**
+ * Convert a 1-based column index to letters. e.g., 1=A, 26=Z, 27=AA
+ */
+function colIndex1ToLetter_(index) {
+  let letters = '';
+  let n = index;
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    letters = String.fromCharCode(65 + rem) + letters;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letters;
+}
+
 /**
  * Build a PivotGroup object.
+ * Grouping can be given as a raw groupRule or as one of the shorthands handled by toGroupRule_.
+ * valueSpecs (the config's values) are only needed when the spec sorts by a value (sortBy).
  */
-function toPivotGroup_(offset, spec) {
+function toPivotGroup_(offset, spec, valueSpecs) {
   const pg = {
     sourceColumnOffset: offset,
     showTotals: spec.showTotals !== false, // default true
     sortOrder: normalizeSortOrder_(spec.sortOrder)
   };
-  if (spec.groupRule) {
-    pg.groupRule = spec.groupRule;
+  if (spec.sortBy != null) {
+    pg.valueBucket = toValueBucket_(spec, valueSpecs || []);
+  }
+  const groupRule = toGroupRule_(spec);
+  if (groupRule) {
+    pg.groupRule = groupRule;
   }
   return pg;
 }
 
+/**
+ * Position of a value spec referenced by name, column reference or 0-based position; -1 if none.
+ */
+function findValueIndex_(ref, valueSpecs) {
+  if (typeof ref === 'number') {
+    return ref >= 0 && ref < valueSpecs.length && ref % 1 === 0 ? ref : -1;
+  }
+  const key = String(ref).trim();
+  let index = valueSpecs.findIndex(v => v && v.name === key);
+  if (index === -1) {
+    index = valueSpecs.findIndex(v => v && v.column != null && String(v.column).trim() === key);
+  }
+  return index;
+}
+
+/**
+ * Build a PivotGroupSortValueBucket from spec.sortBy = { value, buckets? }.
+ * - value: name of a value spec, its column reference, or its 0-based position in values
+ * - buckets: column group values selecting which column to rank by; omit to use the grand total
+ */
+function toValueBucket_(spec, valueSpecs) {
+  const sortBy = spec.sortBy;
+  if (typeof sortBy !== 'object' || sortBy.value == null) {
+    throw new Error(`Group on "${spec.column}": sortBy must be an object like { value: 'Revenue' }.`);
+  }
+
+  const valuesIndex = findValueIndex_(sortBy.value, valueSpecs);
+  if (valuesIndex === -1) {
+    const known = valueSpecs.map((v, i) => (v && (v.name || v.column)) || i).join(', ');
+    throw new Error(`Group on "${spec.column}": sortBy value "${sortBy.value}" does not match any value. Values: ${known || '(none)'}`);
+  }
+
+  const bucket = { valuesIndex };
+  if (sortBy.buckets != null) {
+    if (!Array.isArray(sortBy.buckets)) {
+      throw new Error(`Group on "${spec.column}": sortBy.buckets must be an array.`);
+    }
+    if (sortBy.buckets.length) bucket.buckets = sortBy.buckets.map(toExtendedValue_);
+  }
+  return bucket;
+}
+
+/**
+ * Turn a group spec's grouping option into a Sheets API PivotGroupRule.
+ * Accepts (at most one of):
+ * - groupRule: raw API object, passed through
+ * - bucket: 'month' | 'quarter+year' | 'day of week' | ... -> dateTimeRule
+ * - histogram: { interval, start?, end? } -> histogramRule
+ * - groups: { APAC: ['HK', 'SG'], EMEA: ['UK'] } -> manualRule
+ * Returns null when the spec has no grouping.
+ */
+function toGroupRule_(spec) {
+  const given = ['groupRule', 'bucket', 'histogram', 'groups'].filter(k => spec[k] != null);
+  if (given.length > 1) {
+    throw new Error(`Group on "${spec.column}": use only one of ${given.join(', ')}.`);
+  }
+  if (spec.groupRule) {
+    return spec.groupRule;
+  }
+  if (spec.bucket != null) {
+    return { dateTimeRule: { type: normalizeDateTimeBucket_(spec.bucket) } };
+  }
+  if (spec.histogram != null) {
+    const h = spec.histogram;
+    if (typeof h !== 'object' || typeof h.interval !== 'number' || !(h.interval > 0)) {
+      throw new Error(`Group on "${spec.column}": histogram.interval must be a positive number.`);
+    }
+    const rule = { interval: h.interval };
+    ['start', 'end'].forEach(k => {
+      if (h[k] == null) return;
+      if (typeof h[k] !== 'number') throw new Error(`Group on "${spec.column}": histogram.${k} must be a number.`);
+      rule[k] = h[k];
+    });
+    if (rule.start != null && rule.end != null && rule.start >= rule.end) {
+      throw new Error(`Group on "${spec.column}": histogram.start must be less than end.`);
+    }
+    return { histogramRule: rule };
+  }
+  if (spec.groups != null) {
+    const names = typeof spec.groups === 'object' ? Object.keys(spec.groups) : [];
+    if (names.length === 0) {
+      throw new Error(`Group on "${spec.column}": groups must map group names to arrays of items.`);
+    }
+    return {
+      manualRule: {
+        groups: names.map(name => {
+          const items = spec.groups[name];
+          if (!Array.isArray(items) || items.length === 0) {
+            throw new Error(`Group on "${spec.column}": group "${name}" must list at least one item.`);
+          }
+          return { groupName: { stringValue: name }, items: items.map(toExtendedValue_) };
+        })
+      }
+    };
+  }
+  return null;
+}
+
+/**
+ * Map a date bucket shorthand to a DateTimeRuleType.
+ * Parts joined with "+" may come in any order, e.g. 'quarter+year' or 'year+quarter'.
+ * API names such as 'YEAR_MONTH' are accepted as-is.
+ */
+function normalizeDateTimeBucket_(bucket) {
+  const types = {
+    'second': 'SECOND',
+    'minute': 'MINUTE',
+    'hour': 'HOUR',
+    'hour+minute': 'HOUR_MINUTE',
+    'ampm+hour+minute': 'HOUR_MINUTE_AMPM',
+    'dayofweek': 'DAY_OF_WEEK',
+    'weekday': 'DAY_OF_WEEK',
+    'dayofyear': 'DAY_OF_YEAR',
+    'day': 'DAY_OF_MONTH',
+    'dayofmonth': 'DAY_OF_MONTH',
+    'day+month': 'DAY_MONTH',
+    'month': 'MONTH',
+    'quarter': 'QUARTER',
+    'year': 'YEAR',
+    'month+year': 'YEAR_MONTH',
+    'quarter+year': 'YEAR_QUARTER',
+    'day+month+year': 'YEAR_MONTH_DAY',
+    'date': 'YEAR_MONTH_DAY'
+  };
+  const raw = String(bucket).trim();
+  const apiTypes = Object.keys(types).map(k => types[k]);
+  if (apiTypes.indexOf(raw.toUpperCase()) !== -1) {
+    return raw.toUpperCase();
+  }
+  const key = raw.toLowerCase().split('+').map(p => p.replace(/[\s_-]+/g, '')).sort().join('+');
+  if (!types.hasOwnProperty(key)) {
+    throw new Error(`Unsupported date bucket "${bucket}". Use e.g. 'month', 'quarter', 'year', 'month+year', 'quarter+year', 'day of week', or a DateTimeRuleType.`);
+  }
+  return types[key];
+}
+
+/**
+ * Wrap a plain value as a Sheets API ExtendedValue.
+ */
+function toExtendedValue_(value) {
+  if (typeof value === 'number') return { numberValue: value };
+  if (typeof value === 'boolean') return { boolValue: value };
+  return { stringValue: String(value) };
+}
+
+/**
+ * Build a PivotValue from a value spec, resolving its column only when it has one.
+ * Calculated fields and formula-only values do not reference a source column.
+ * headerMatch is the config's option, for the header names of calculated fields.
+ */
+function buildPivotValue_(spec, toOffset, headerMap, headerMatch) {
+  if (spec.calculated != null) {
+    return toCalculatedPivotValue_(spec, toOffset, headerMap, headerMatch);
+  }
+  if (spec.formula && spec.column == null) {
+    return toPivotValue_(null, spec);
+  }
+  return toPivotValue_(toOffset(spec.column), spec);
+}
+
 /**
  * Build a PivotValue object.
+ * The API takes either a source column or a formula, so a formula replaces the offset.
  */
 function toPivotValue_(offset, spec) {
-  const pv = {
-    sourceColumnOffset: offset,
-    summarizeFunction: normalizeSummarizeFunction_(spec.summarizeFunction),
-  };
+  const pv = {};
+  if (!spec.formula) pv.sourceColumnOffset = offset;
+  pv.summarizeFunction = normalizeSummarizeFunction_(spec.summarizeFunction);
   if (spec.name) pv.name = spec.name;
   if (spec.formula) pv.formula = spec.formula; // Use with summarizeFunction: 'CUSTOM'
+  if (spec.calculatedDisplayType) {
+    pv.calculatedDisplayType = normalizeCalculatedDisplayType_(spec.calculatedDisplayType);
+  }
   return pv;
 }
 
+/**
+ * Build a calculated-field PivotValue.
+ * spec.calculated is a formula with header names in braces, e.g. '{Spend} / {Clicks}'.
+ * Each name is resolved like a column reference (headerMatch applies) and emitted as the
+ * quoted header. Sheets runs a formula with a built-in summarizeFunction on every row
+ * and then summarizes the results (a sum of per-row ratios), so each field is wrapped in
+ * the function instead and the value sent as CUSTOM: =SUM('Spend') / SUM('Clicks').
+ * With summarizeFunction CUSTOM the expression is sent as written.
+ */
+function toCalculatedPivotValue_(spec, toOffset, headerMap, headerMatch) {
+  if (!spec.name) {
+    throw new Error(`Calculated field "${spec.calculated}" needs a name.`);
+  }
+  const expression = String(spec.calculated).trim().replace(/^=/, '');
+  if (!/\{[^}]+\}/.test(expression)) {
+    throw new Error(`Calculated field "${spec.name}" must reference at least one header as {Header Name}.`);
+  }
+  const fn = normalizeSummarizeFunction_(spec.summarizeFunction);
+  const matchOptions = Object.assign({ ignoreCase: true, normalizeWhitespace: true }, headerMatch);
+  const unknown = [];
+  const formula = '=' + expression.replace(/\{([^}]+)\}/g, (_, rawName) => {
+    let name = rawName.trim();
+    if (headerMap) {
+      // Header names only: colRefToOffset_ would also take "CPC" as a column letter
+      if (!findHeaderMatches_(name.replace(/\s*#\d+$/, ''), headerMap, matchOptions).length) {
+        unknown.push(name);
+      } else {
+        const offset = toOffset(name);
+        name = Object.keys(headerMap).find(header => headerMap[header].indexOf(offset) !== -1);
+      }
+    }
+    const ref = `'${name.replace(/'/g, "''")}'`;
+    return fn === 'CUSTOM' ? ref : `${fn}(${ref})`;
+  });
+  if (unknown.length) {
+    throw new Error(`Calculated field "${spec.name}" references unknown header(s): ${unknown.join(', ')}. Available: ${Object.keys(headerMap).join(', ')}`);
+  }
+  return toPivotValue_(null, Object.assign({}, spec, { formula, summarizeFunction: 'CUSTOM' }));
+}
+
+function normalizeCalculatedDisplayType_(type) {
+  const v = String(type).toUpperCase().replace(/[\s-]+/g, '_');
+  const aliases = {
+    ROW: 'PERCENT_OF_ROW_TOTAL',
+    COLUMN: 'PERCENT_OF_COLUMN_TOTAL',
+    GRAND: 'PERCENT_OF_GRAND_TOTAL',
+    GRAND_TOTAL: 'PERCENT_OF_GRAND_TOTAL'
+  };
+  const resolved = aliases[v] || v;
+  const allowed = ['PERCENT_OF_ROW_TOTAL', 'PERCENT_OF_COLUMN_TOTAL', 'PERCENT_OF_GRAND_TOTAL'];
+  if (allowed.indexOf(resolved) === -1) {
+    throw new Error(`Unsupported calculatedDisplayType "${type}". Use 'row', 'column', 'grand' or one of ${allowed.join(', ')}.`);
+  }
+  return resolved;
+}
+
+/**
+ * Build a PivotFilterSpec object.
+ * A filter either lists the values to keep (visibleValues) or applies a condition.
+ */
+function toPivotFilterSpec_(offset, spec) {
+  const hasValues = spec.visibleValues != null;
+  const hasCondition = spec.condition != null;
+  if (hasValues === hasCondition) {
+    throw new Error(`Filter on "${spec.column}" needs exactly one of visibleValues or condition.`);
+  }
+
+  const criteria = {};
+  if (hasValues) {
+    if (!Array.isArray(spec.visibleValues) || spec.visibleValues.length === 0) {
+      throw new Error(`Filter on "${spec.column}": visibleValues must be a non-empty array.`);
+    }
+    criteria.visibleValues = spec.visibleValues.map(v => formatConditionValue_(v));
+  } else {
+    criteria.condition = normalizeFilterCondition_(spec.condition, spec.column);
+  }
+  if (spec.visibleByDefault != null) {
+    criteria.visibleByDefault = !!spec.visibleByDefault;
+  }
+
+  return {
+    columnOffsetIndex: offset,
+    filterCriteria: criteria
+  };
+}
+
+/**
+ * Convert a { type, values } condition into a Sheets API BooleanCondition,
+ * checking the type and the number of values it takes.
+ */
+function normalizeFilterCondition_(condition, colRef) {
+  if (typeof condition !== 'object' || !condition.type) {
+    throw new Error(`Filter on "${colRef}": condition must be an object with a type.`);
+  }
+  const type = String(condition.type).toUpperCase();
+  // Condition type -> number of values it expects
+  const arity = {
+    NUMBER_GREATER: 1, NUMBER_GREATER_THAN_EQ: 1, NUMBER_LESS: 1, NUMBER_LESS_THAN_EQ: 1,
+    NUMBER_EQ: 1, NUMBER_NOT_EQ: 1, NUMBER_BETWEEN: 2, NUMBER_NOT_BETWEEN: 2,
+    TEXT_CONTAINS: 1, TEXT_NOT_CONTAINS: 1, TEXT_STARTS_WITH: 1, TEXT_ENDS_WITH: 1,
+    TEXT_EQ: 1, TEXT_NOT_EQ: 1, TEXT_IS_EMAIL: 0, TEXT_IS_URL: 0,
+    DATE_EQ: 1, DATE_NOT_EQ: 1, DATE_BEFORE: 1, DATE_AFTER: 1, DATE_ON_OR_BEFORE: 1, DATE_ON_OR_AFTER: 1,
+    DATE_BETWEEN: 2, DATE_NOT_BETWEEN: 2, DATE_IS_VALID: 0,
+    BLANK: 0, NOT_BLANK: 0, CUSTOM_FORMULA: 1
+  };
+  if (!arity.hasOwnProperty(type)) {
+    throw new Error(`Filter on "${colRef}": unsupported condition type "${condition.type}". Allowed: ${Object.keys(arity).join(', ')}`);
+  }
+  const rawValues = condition.values || [];
+  if (!Array.isArray(rawValues) || rawValues.length !== arity[type]) {
+    throw new Error(`Filter on "${colRef}": condition ${type} expects ${arity[type]} value(s), got ${Array.isArray(rawValues) ? rawValues.length : typeof rawValues}.`);
+  }
+
+  const result = { type };
+  if (rawValues.length) {
+    result.values = rawValues.map(v => {
+      if (v && typeof v === 'object' && !(v instanceof Date)) {
+        if (!v.relativeDate || !/^DATE_/.test(type)) {
+          throw new Error(`Filter on "${colRef}": object values are only allowed as { relativeDate } on DATE_ conditions.`);
+        }
+        return { relativeDate: String(v.relativeDate).toUpperCase() };
+      }
+      return { userEnteredValue: formatConditionValue_(v) };
+    });
+  }
+  return result;
+}
+
+/**
+ * Stringify a filter value the way Sheets expects user-entered values (dates as yyyy-mm-dd).
+ */
+function formatConditionValue_(value) {
+  if (value instanceof Date) {
+    if (isNaN(value)) throw new Error('Invalid Date used as a filter value.');
+    const pad = n => String(n).padStart(2, '0');
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+  return String(value);
+}
+
+function normalizeValueLayout_(layout) {
+  const v = String(layout).toUpperCase();
+  if (v === 'HORIZONTAL' || v === 'VERTICAL') return v;
+  throw new Error(`Unsupported valueLayout "${layout}". Use 'HORIZONTAL' or 'VERTICAL'.`);
+}
+
 function normalizeSortOrder_(order) {
   if (!order) return 'ASCENDING';
   const v = String(order).toUpperCase();
@@ -267,11 +2153,20 @@ function normalizeSummarizeFunction_(fn) {
 }
 
 /**
- * Optional: Add a simple menu to run the example quickly.
+ * Optional: Add a simple menu to run the example and saved pivots quickly.
  */
 function onOpen() {
-  SpreadsheetApp.getUi()
-    .createMenu('Pivot Tools')
+  const ui = SpreadsheetApp.getUi();
+  const presets = ui.createMenu('Presets');
+  Object.keys(PIVOT_PRESETS).forEach(name => {
+    presets.addItem(PIVOT_PRESETS[name].label, PIVOT_PRESETS[name].menuFunction);
+  });
+
+  ui.createMenu('Pivot Tools')
     .addItem('Create Example Pivot', 'createExamplePivot')
+    .addItem('Open Pivot Builder', 'showPivotSidebar')
+    .addSubMenu(presets)
+    .addSeparator()
+    .addItem('Rebuild all saved pivots', 'rebuildAllSavedPivots')
     .addToUi();
 }
@@ -1,6 +1,10 @@
 /**
  * @OnlyCurrentDoc
- * This script creates an auto-refreshing dashboard with four charts and a summary pivot table.
+ * This script creates an auto-refreshing dashboard with a summary pivot table.
+ * The charts come from the dashboard definition in DashboardCharts.js.
+ * Edits to the source sheet update only the edited rows' share of the aggregates and redraw
+ * only the charts they change; edits inside the throttle window are applied by a deferred
+ * time-based trigger (installed with Dashboard > Enable Live Refresh).
  * This version is optimized for performance and conciseness.
  */
 
@@ -9,51 +13,143 @@ const SOURCE_SHEET_NAME = "Weekly log_Thomas W";
 const DASHBOARD_SHEET_NAME = "Full Dashboard";
 const PIVOT_SHEET_NAME = "Summary Pivot Table";
 
-// Column numbers (index-based for array access, e.g., Column A is 0)
-const CLIENT_COL = 6, PLATFORM_COL = 7, AD_FORMAT_COL = 8, META_BUDGET_COL = 9;
-const CAMPAIGN_TYPE_COL = 12, FREQUENCY_COL = 18, START_DATE_COL = 19, END_DATE_COL = 20;
+// Columns are found by header name (DASHBOARD_FIELDS, aliases in the "Column Mapping" sheet)
 // --- END CONFIGURATION ---
 
 // --- PERFORMANCE / CONTROL CONFIG ---
 const THROTTLE_MS = 30 * 1000;          // 最短重建間隔
-const CACHE_TTL_MS = 60 * 1000;         // 聚合結果快取有效期
-const EDIT_TRIGGER_COLUMNS = [          // 需要觸發的「一基底」欄號 (人類視角)
-  CLIENT_COL + 1,
-  PLATFORM_COL + 1,
-  AD_FORMAT_COL + 1,
-  META_BUDGET_COL + 1,
-  CAMPAIGN_TYPE_COL + 1,
-  FREQUENCY_COL + 1,
-  START_DATE_COL + 1,
-  END_DATE_COL + 1
-];
+const STATE_CACHE_KEY = 'DASHBOARD_AGGREGATES';  // 逐列聚合狀態 (CacheService，分段儲存)
+const STATE_CACHE_TTL_S = 6 * 60 * 60;  // CacheService 上限 6 小時；過期後下一次編輯會完整重建
+const STATE_CHUNK_CHARS = 30 * 1000;    // 每段字元數 (單一快取值上限 100KB)
+const PENDING_ROWS_KEY = 'DASHBOARD_PENDING_ROWS';  // 尚未套用的編輯列 (JSON 列號陣列或 "all")
+const PENDING_ROWS_MAX = 500;           // 超過即改為完整重建
+const DEFERRED_TRIGGER_KEY = 'DASHBOARD_DEFERRED_TRIGGER';
+const EDIT_TRIGGER_KEY = 'DASHBOARD_EDIT_TRIGGER';
 // --- END PERFORMANCE / CONTROL CONFIG ---
 
 function onOpen() {
   SpreadsheetApp.getUi().createMenu('Dashboard')
     .addItem('Refresh Full Dashboard', 'createFullDashboard')
+    .addItem('Refresh Dashboard for Month...', 'promptDashboardReportMonth')
     .addItem('Refresh Summary Pivot', 'createSummaryPivotTable')
+    .addItem('Set Up Column Mapping', 'setupColumnMappingSheet')
+    .addItem('Enable Live Refresh', 'installDashboardEditTrigger')
+    .addItem('Disable Live Refresh', 'removeDashboardEditTrigger')
     .addToUi();
+  try {
+    checkColumnMapping(SOURCE_SHEET_NAME, DASHBOARD_FIELDS);
+  } catch (e) {
+    handleError('Column check failed', e);
+  }
 }
 
+// 簡易觸發器：可安裝觸發器 (onDashboardEdit) 仍存在時交給它處理，避免重複執行
 function onEdit(e) {
+  try {
+    if (hasDashboardEditTrigger_(PropertiesService.getDocumentProperties())) return;
+    onDashboardEdit(e);
+  } catch (err) {
+    // 編輯觸發器內不顯示提示框，只記錄錯誤
+    Logger.log(`Dashboard edit failed: ${err.message}`);
+  }
+}
+
+// 觸發器若在選單以外被移除 (觸發器頁面、擁有者變更、配額停用)，清除失效的設定
+function hasDashboardEditTrigger_(props) {
+  const id = props.getProperty(EDIT_TRIGGER_KEY);
+  if (!id) return false;
+  let triggers;
+  try {
+    triggers = ScriptApp.getProjectTriggers();
+  } catch (_) {
+    // 簡易觸發器無權讀取觸發器：兩者都處理這次編輯 (重複套用同一列不會改變結果)
+    return false;
+  }
+  if (triggers.some(t => t.getUniqueId() === id)) return true;
+  props.deleteProperty(EDIT_TRIGGER_KEY);
+  return false;
+}
+
+/**
+ * Edit handler: queue the edited rows and apply them now, or after the throttle window
+ * through a deferred time-based trigger.
+ */
+function onDashboardEdit(e) {
   try {
     if (!e || !e.range) return;
     if (e.range.getSheet().getName() !== SOURCE_SHEET_NAME) return;
-    if (!shouldRefreshOnEdit(e.range)) return;
-    createFullDashboard();
-  } catch (_) {}
+    const state = loadDashboardState_();
+    if (!shouldRefreshOnEdit(e.range, state && state.columns)) return;
+    queueDashboardEdit_(e.range);
+  } catch (err) {
+    Logger.log(`Dashboard edit failed: ${err.message}`);
+  }
+}
+
+/**
+ * Menu item: install the edit trigger. Unlike the simple onEdit, it may create the
+ * time-based trigger that applies edits skipped by the throttle.
+ */
+function installDashboardEditTrigger() {
+  ScriptApp.getProjectTriggers()
+    .filter(t => t.getHandlerFunction() === 'onDashboardEdit')
+    .forEach(t => ScriptApp.deleteTrigger(t));
+  const trigger = ScriptApp.newTrigger('onDashboardEdit')
+    .forSpreadsheet(SpreadsheetApp.getActiveSpreadsheet()).onEdit().create();
+  PropertiesService.getDocumentProperties().setProperty(EDIT_TRIGGER_KEY, trigger.getUniqueId());
+  SpreadsheetApp.getUi().alert('Live refresh is on: edits to the source sheet update the dashboard.');
+}
+
+/**
+ * Menu item: remove the edit trigger; the simple onEdit handles edits again.
+ */
+function removeDashboardEditTrigger() {
+  ScriptApp.getProjectTriggers()
+    .filter(t => t.getHandlerFunction() === 'onDashboardEdit')
+    .forEach(t => ScriptApp.deleteTrigger(t));
+  PropertiesService.getDocumentProperties().deleteProperty(EDIT_TRIGGER_KEY);
+  SpreadsheetApp.getUi().alert('Live refresh is off.');
+}
+
+/**
+ * Time-based trigger handler: apply the edits queued while the dashboard was throttled.
+ */
+function applyPendingDashboardEdits() {
+  ScriptApp.getProjectTriggers()
+    .filter(t => t.getHandlerFunction() === 'applyPendingDashboardEdits')
+    .forEach(t => ScriptApp.deleteTrigger(t));
+  const props = PropertiesService.getDocumentProperties();
+  props.deleteProperty(DEFERRED_TRIGGER_KEY);
+
+  const lock = LockService.getDocumentLock();
+  if (!lock.tryLock(30000)) {
+    scheduleDeferredRefresh_(props, THROTTLE_MS);
+    return;
+  }
+  try {
+    applyPendingEdits_(props);
+  } catch (e) {
+    handleError('Dashboard update failed', e);
+  } finally {
+    try { lock.releaseLock(); } catch (_) {}
+  }
 }
 
-function shouldRefreshOnEdit(range) {
-  const col = range.getColumn();
-  return EDIT_TRIGGER_COLUMNS.indexOf(col) !== -1;
+// 編輯範圍涵蓋任一儀表板欄位 (使用快取狀態中的欄位對應，不讀取對應表與標題列) 才更新
+function shouldRefreshOnEdit(range, columns) {
+  if (range.getRow() === 1) return true; // 標題列變更可能改變欄位對應
+  if (!columns) return true; // 無快取狀態：完整重建
+  const first = range.getColumn() - 1;
+  const last = range.getLastColumn() - 1;
+  return Object.keys(columns).some(field => columns[field] >= first && columns[field] <= last);
 }
 
 /**
  * Main function to generate or refresh all visualizations.
+ * @param {{ reportMonth?: string }=} options reporting month 'yyyy-mm' for the chart windows
  */
-function createFullDashboard() {
+function createFullDashboard(options) {
+  const opts = options || {};
   const lock = LockService.getDocumentLock();
   if (!lock.tryLock(5000)) {
     Logger.log('Skipped: lock not acquired.');
@@ -63,115 +159,200 @@ function createFullDashboard() {
     const props = PropertiesService.getDocumentProperties();
     const lastRun = Number(props.getProperty('LAST_DASHBOARD_RUN') || 0);
     const now = Date.now();
-    if (now - lastRun < THROTTLE_MS) {
+    if (!opts.reportMonth && now - lastRun < THROTTLE_MS) { // 手動選月份不節流
       Logger.log('Skipped: throttled.');
       return;
     }
+    rebuildFullDashboard_(opts);
+    props.deleteProperty(PENDING_ROWS_KEY); // 已包含所有待套用的編輯
+    props.setProperty('LAST_DASHBOARD_RUN', String(now));
+  } catch (e) {
+    handleError('Dashboard creation failed', e);
+  } finally {
+    try { lock.releaseLock(); } catch (_) {}
+  }
+}
 
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const sourceSheet = ss.getSheetByName(SOURCE_SHEET_NAME);
-    if (!sourceSheet) throw new Error(`Source sheet "${SOURCE_SHEET_NAME}" not found.`);
-
-    let dashboardSheet = ss.getSheetByName(DASHBOARD_SHEET_NAME);
-    if (dashboardSheet) {
-      // 僅清除內容與圖表，不刪除工作表 (保留權限 / 保護)
-      dashboardSheet.getCharts().forEach(c => dashboardSheet.removeChart(c));
-      dashboardSheet.clear();
-    } else {
-      dashboardSheet = ss.insertSheet(DASHBOARD_SHEET_NAME);
-    }
+// 完整重建 (呼叫端需持有鎖)：讀取整張來源表、重算所有圖表並儲存逐列聚合狀態
+function rebuildFullDashboard_(opts) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sourceSheet = ss.getSheetByName(SOURCE_SHEET_NAME);
+  if (!sourceSheet) throw new Error(`Source sheet "${SOURCE_SHEET_NAME}" not found.`);
 
-    const lastRow = sourceSheet.getLastRow();
-    if (lastRow < 2) throw new Error('No data rows.');
+  const lastRow = sourceSheet.getLastRow();
+  if (lastRow < 2) throw new Error('No data rows.');
 
-    const lastCol = sourceSheet.getLastColumn();
-    const data = sourceSheet.getRange(2, 1, lastRow - 1, lastCol).getValues(); // 跳過標題列
+  // 先對應欄位再清除儀表板：標題不符時保留舊圖表
+  const lastCol = sourceSheet.getLastColumn();
+  const data = sourceSheet.getRange(1, 1, lastRow, lastCol).getValues();
+  const columns = resolveColumnMapping(data.shift(), DASHBOARD_FIELDS,
+    { sheetName: SOURCE_SHEET_NAME, optional: ['campaignId'] });
 
-    const aggregates = getAggregatesWithCache(data);
+  let dashboardSheet = ss.getSheetByName(DASHBOARD_SHEET_NAME);
+  if (dashboardSheet) {
+    // 僅清除內容與圖表，不刪除工作表 (保留權限 / 保護)
+    dashboardSheet.getCharts().forEach(c => dashboardSheet.removeChart(c));
+    dashboardSheet.clear();
+  } else {
+    dashboardSheet = ss.insertSheet(DASHBOARD_SHEET_NAME);
+  }
 
-    buildMonthlyBudgetChart(dashboardSheet, aggregates.monthlyBudgets);
-    buildCampaignsByClientChart(dashboardSheet, aggregates.clientCounts);
-    buildFrequencyByClientChart(dashboardSheet, aggregates.frequencyCounts);
-    buildAugustBudgetChart(dashboardSheet, aggregates.augustBudgets);
-    createSummaryPivotTable(ss, sourceSheet);
+  const charts = getDashboardCharts();
+  const chartOptions = Object.assign({}, opts, { columns });
+  const aggregates = createDashboardAggregates(data, charts, chartOptions);
+  renderDashboardCharts(dashboardSheet, dashboardAggregateTables(aggregates, charts), charts, chartOptions);
+  // 逐列記錄 Campaign ID：排序或搬移列後，列號對應的活動不同，增量更新會算錯。
+  // 沒有此欄或 ID 重複 (無法辨識列) 時不記錄，每次編輯都完整重建
+  let rowIds = columns.campaignId === undefined ? null : data.map(row => String(row[columns.campaignId]));
+  if (rowIds && new Set(rowIds).size !== rowIds.length) rowIds = null;
+  saveDashboardState_({ lastRow, reportMonth: opts.reportMonth || '', columns, rowIds, aggregates });
+  createSummaryPivotTable(ss, sourceSheet);
 
-    dashboardSheet.activate();
-    props.setProperty('LAST_DASHBOARD_RUN', String(now));
-  } catch (e) {
-    handleError('Dashboard creation failed', e);
+  dashboardSheet.activate();
+}
+
+// 記錄編輯列；節流期間改由延遲觸發器套用，不再丟棄編輯
+function queueDashboardEdit_(range) {
+  const props = PropertiesService.getDocumentProperties();
+  const lock = LockService.getDocumentLock();
+  if (!lock.tryLock(5000)) {
+    // 取不到鎖時無法安全合併列號：改為稍後完整重建
+    props.setProperty(PENDING_ROWS_KEY, JSON.stringify('all'));
+    scheduleDeferredRefresh_(props, THROTTLE_MS);
+    return;
+  }
+  try {
+    addPendingRows_(props, range);
+    const wait = THROTTLE_MS - (Date.now() - Number(props.getProperty('LAST_DASHBOARD_RUN') || 0));
+    if (wait > 0) {
+      Logger.log('Throttled: update deferred.');
+      scheduleDeferredRefresh_(props, wait);
+      return;
+    }
+    applyPendingEdits_(props);
   } finally {
     try { lock.releaseLock(); } catch (_) {}
   }
 }
 
-// 快取 wrapper
-function getAggregatesWithCache(data) {
-  const props = PropertiesService.getDocumentProperties();
-  const cacheStamp = Number(props.getProperty('AGG_CACHE_TS') || 0);
-  const now = Date.now();
-  if (now - cacheStamp < CACHE_TTL_MS) {
-    const cached = props.getProperty('AGG_CACHE_JSON');
-    if (cached) {
-      try {
-        return JSON.parse(cached);
-      } catch (_) {}
+function addPendingRows_(props, range) {
+  let pending = JSON.parse(props.getProperty(PENDING_ROWS_KEY) || '[]');
+  if (range.getRow() === 1) pending = 'all'; // 標題列變更：欄位對應可能改變
+  if (pending !== 'all') {
+    for (let r = range.getRow(); r <= range.getLastRow() && pending.length <= PENDING_ROWS_MAX; r++) {
+      if (pending.indexOf(r) === -1) pending.push(r);
     }
+    if (pending.length > PENDING_ROWS_MAX) pending = 'all';
+  }
+  props.setProperty(PENDING_ROWS_KEY, JSON.stringify(pending));
+}
+
+// 已排程 (且觸發器仍存在) 時不重複建立
+function scheduleDeferredRefresh_(props, waitMs) {
+  const scheduled = props.getProperty(DEFERRED_TRIGGER_KEY);
+  try {
+    if (scheduled && ScriptApp.getProjectTriggers().some(t => t.getUniqueId() === scheduled)) return;
+    const trigger = ScriptApp.newTrigger('applyPendingDashboardEdits').timeBased().after(Math.max(waitMs, 1000)).create();
+    props.setProperty(DEFERRED_TRIGGER_KEY, trigger.getUniqueId());
+  } catch (e) {
+    // 簡易觸發器無權建立觸發器：編輯保留在佇列，下一次編輯時套用
+    Logger.log(`Deferred update not scheduled (use Dashboard > Enable Live Refresh): ${e.message}`);
+  }
+}
+
+// 套用佇列中的編輯 (呼叫端需持有鎖)；無法增量更新時完整重建
+function applyPendingEdits_(props) {
+  const pending = JSON.parse(props.getProperty(PENDING_ROWS_KEY) || '[]');
+  if (pending !== 'all' && !pending.length) return;
+  // 保留儀表板目前的報表月份 (由 "Refresh Dashboard for Month..." 選定)
+  const state = loadDashboardState_();
+  const reportMonth = state && state.reportMonth;
+  if (pending === 'all' || !applyDashboardEdits_(pending, state)) {
+    rebuildFullDashboard_(reportMonth ? { reportMonth } : {});
+  }
+  props.deleteProperty(PENDING_ROWS_KEY);
+  props.setProperty('LAST_DASHBOARD_RUN', String(Date.now()));
+}
+
+/**
+ * Apply edited rows to the cached aggregates and redraw the charts they change.
+ * @param {number[]} rowNumbers edited sheet rows
+ * @param {Object} state from loadDashboardState_, with the reporting month the aggregates were built for
+ * @return {boolean} false when the dashboard must be rebuilt instead (no cached state,
+ *   rows inserted, deleted, sorted or moved, no Campaign ID column, or the definition,
+ *   column mapping or month changed)
+ */
+function applyDashboardEdits_(rowNumbers, state) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sourceSheet = ss.getSheetByName(SOURCE_SHEET_NAME);
+  const dashboardSheet = ss.getSheetByName(DASHBOARD_SHEET_NAME);
+  if (!sourceSheet || !dashboardSheet || !state) return false;
+  // onEdit 不會因插入 / 刪除列觸發；列數改變時列號已位移，快取不可用
+  const lastRow = sourceSheet.getLastRow();
+  if (state.lastRow !== lastRow) return false;
+  // 排序 / 搬移列也不會觸發 onEdit：逐列比對 Campaign ID，不符即完整重建
+  const columns = state.columns;
+  if (!columns || !state.rowIds) return false;
+  const ids = sourceSheet.getRange(2, columns.campaignId + 1, lastRow - 1, 1).getValues();
+  if (ids.some((row, i) => String(row[0]) !== state.rowIds[i])) return false;
+
+  const lastCol = sourceSheet.getLastColumn();
+  const charts = getDashboardCharts();
+  const options = state.reportMonth ? { columns, reportMonth: state.reportMonth } : { columns };
+
+  // 連續列一次讀取
+  const rows = {};
+  const sorted = rowNumbers.filter(r => r >= 2).sort((a, b) => a - b);
+  for (let i = 0; i < sorted.length;) {
+    let j = i;
+    while (j + 1 < sorted.length && sorted[j + 1] === sorted[j] + 1) j++;
+    const values = sourceSheet.getRange(sorted[i], 1, j - i + 1, lastCol).getValues();
+    values.forEach((row, k) => { rows[sorted[i] + k] = row; });
+    i = j + 1;
+  }
+
+  const before = dashboardAggregateTables(state.aggregates, charts);
+  const changed = updateDashboardAggregates(state.aggregates, rows, charts, options);
+  if (!changed) return false;
+  if (changed.length) {
+    refreshDashboardCharts(dashboardSheet, dashboardAggregateTables(state.aggregates, charts), before,
+      changed, charts, options);
+  }
+  saveDashboardState_(state);
+  return true;
+}
+
+// 聚合狀態可能超過單一快取值上限，分段存入 CacheService
+function saveDashboardState_(state) {
+  const cache = CacheService.getDocumentCache();
+  const json = JSON.stringify(state);
+  const parts = {};
+  const count = Math.ceil(json.length / STATE_CHUNK_CHARS);
+  for (let i = 0; i < count; i++) {
+    parts[`${STATE_CACHE_KEY}_${i}`] = json.slice(i * STATE_CHUNK_CHARS, (i + 1) * STATE_CHUNK_CHARS);
+  }
+  parts[STATE_CACHE_KEY] = String(count);
+  try {
+    cache.putAll(parts, STATE_CACHE_TTL_S);
+  } catch (e) {
+    Logger.log(`Dashboard state not cached: ${e.message}`);
+    cache.remove(STATE_CACHE_KEY);
+  }
+}
+
+function loadDashboardState_() {
+  const cache = CacheService.getDocumentCache();
+  const count = Number(cache.get(STATE_CACHE_KEY) || 0);
+  if (!count) return null;
+  const keys = [];
+  for (let i = 0; i < count; i++) keys.push(`${STATE_CACHE_KEY}_${i}`);
+  const parts = cache.getAll(keys);
+  if (keys.some(key => parts[key] == null)) return null;
+  try {
+    return JSON.parse(keys.map(key => parts[key]).join(''));
+  } catch (_) {
+    return null;
   }
-  const agg = processDataForCharts(data);
-  props.setProperty('AGG_CACHE_TS', String(now));
-  props.setProperty('AGG_CACHE_JSON', JSON.stringify(agg));
-  return agg;
-}
-
-// --- Chart Building Functions ---
-function buildMonthlyBudgetChart(sheet, budgets) {
-  const chartData = [['Campaign Type', 'Budget'], ...Object.entries(budgets)];
-  if (chartData.length <= 1) return;
-  const dataRange = sheet.getRange(1, 1, chartData.length, 2).setValues(chartData);
-  const chart = sheet.newChart().setChartType(Charts.ChartType.BAR).addRange(dataRange)
-    .setOption('title', 'Monthly Budget by Campaign Type').setOption('titleTextStyle', {fontSize: 16, bold: true})
-    .setOption('hAxis', { title: 'Total Meta Budget', format: 'short' }).setOption('vAxis', { title: 'Campaign Type' })
-    .setOption('series', { 0: { dataLabel: 'value' } }).setPosition(2, 3, 0, 0).build();
-  sheet.insertChart(chart);
-}
-
-function buildCampaignsByClientChart(sheet, clientCounts) {
-  const chartData = [['Client', 'Number of Campaigns'], ...Object.entries(clientCounts)];
-  if (chartData.length <= 1) return;
-  const dataRange = sheet.getRange(1, 10, chartData.length, 2).setValues(chartData);
-  const chart = sheet.newChart().setChartType(Charts.ChartType.PIE).addRange(dataRange)
-    .setOption('title', 'Campaigns by Client').setOption('titleTextStyle', {fontSize: 16, bold: true})
-    .setOption('pieHole', 0.4).setPosition(2, 12, 0, 0).build();
-  sheet.insertChart(chart);
-}
-
-function buildFrequencyByClientChart(sheet, frequencyData) {
-  const { clients, allFrequencies } = frequencyData;
-  const freqArray = Array.from(allFrequencies);
-  const chartData = [['Client', ...freqArray]];
-  for (const client in clients) {
-    const row = [client];
-    freqArray.forEach(freq => row.push(clients[client][freq] || 0));
-    chartData.push(row);
-  }
-  if (chartData.length <= 1) return;
-  const dataRange = sheet.getRange(25, 1, chartData.length, chartData[0].length).setValues(chartData);
-  const chart = sheet.newChart().setChartType(Charts.ChartType.COLUMN).addRange(dataRange)
-    .setOption('isStacked', 'true').setOption('title', 'Frequency by Client')
-    .setOption('titleTextStyle', {fontSize: 16, bold: true}).setOption('hAxis', { title: 'Client' })
-    .setOption('vAxis', { title: 'Count' }).setPosition(25, 3, 0, 0).build();
-  sheet.insertChart(chart);
-}
-
-function buildAugustBudgetChart(sheet, budgets) {
-  const chartData = [['Ad Format', 'Budget'], ...Object.entries(budgets)];
-  if (chartData.length <= 1) return;
-  const dataRange = sheet.getRange(25, 10, chartData.length, 2).setValues(chartData);
-  const chart = sheet.newChart().setChartType(Charts.ChartType.BAR).addRange(dataRange)
-    .setOption('title', 'Monthly Budget by Ad Format (August 2025)').setOption('titleTextStyle', {fontSize: 16, bold: true})
-    .setOption('hAxis', { title: 'Total Meta Budget', format: 'short' }).setOption('vAxis', { title: 'Ad Format' })
-    .setOption('series', { 0: { dataLabel: 'value' } }).setPosition(25, 12, 0, 0).build();
-  sheet.insertChart(chart);
 }
 
 // --- Pivot Table Function ---
@@ -186,13 +367,14 @@ function createSummaryPivotTable(ss, sourceSheet) {
     if (pivotSheet) pivotSheet.clear();
     else pivotSheet = ss.insertSheet(PIVOT_SHEET_NAME);
     
-    const sourceDataRange = sourceSheet.getRange("B1:U" + sourceSheet.getLastRow());
+    const cols = checkColumnMapping(SOURCE_SHEET_NAME, DASHBOARD_FIELDS); // 0-based
+    const sourceDataRange = sourceSheet.getDataRange();
     const pivotTable = pivotSheet.getRange('A1').createPivotTable(sourceDataRange);
-    pivotTable.addRowGroup(PLATFORM_COL + 1);
-    pivotTable.addRowGroup(CLIENT_COL + 1);
-    pivotTable.addColumnGroup(AD_FORMAT_COL + 1);
-    pivotTable.addPivotValue(CAMPAIGN_TYPE_COL + 1, SpreadsheetApp.PivotTableSummarizeFunction.COUNTA).setDisplayName("Campaign Count");
-    pivotTable.addPivotValue(META_BUDGET_COL + 1, SpreadsheetApp.PivotTableSummarizeFunction.SUM).setDisplayName("Total Meta Budget");
+    pivotTable.addRowGroup(cols.platform + 1);
+    pivotTable.addRowGroup(cols.client + 1);
+    pivotTable.addColumnGroup(cols.adFormat + 1);
+    pivotTable.addPivotValue(cols.campaignType + 1, SpreadsheetApp.PivotTableSummarizeFunction.COUNTA).setDisplayName("Campaign Count");
+    pivotTable.addPivotValue(cols.budget + 1, SpreadsheetApp.PivotTableSummarizeFunction.SUM).setDisplayName("Total Meta Budget");
     pivotSheet.autoResizeColumns(1, pivotSheet.getLastColumn());
   } catch (e) {
     handleError('Pivot table creation failed', e);
@@ -200,7 +382,6 @@ function createSummaryPivotTable(ss, sourceSheet) {
 }
 
 // --- Helper Functions ---
-const isValidDate = d => d instanceof Date && !isNaN(d);
 function handleError(message, e) {
   const concise = `${message}: ${e && e.message ? e.message : e}`;
   Logger.log(concise + '\n' + (e && e.stack ? e.stack : ''));
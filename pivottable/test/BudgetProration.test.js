@@ -0,0 +1,54 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadProject } = require('./harness');
+
+const { context } = loadProject({ files: ['BudgetProration.js'] });
+
+// [period, first day, last day, amount rounded to cents]
+function periods(list) {
+  return Array.from(list, p => [p.period, p.start.getDate(), p.end.getDate(), Math.round(p.amount * 100) / 100]);
+}
+
+describe('prorateBudget', () => {
+  it('spreads a budget evenly over the months it runs in', () => {
+    assert.deepStrictEqual(periods(context.prorateBudget(90, '2025-01-30', '2025-02-02')), [
+      ['2025-01', 30, 31, 45],
+      ['2025-02', 1, 2, 45]
+    ]);
+  });
+
+  it('returns per-day allocations', () => {
+    assert.deepStrictEqual(periods(context.prorateBudget(30, '2025-03-01', '2025-03-03', { by: 'day' })), [
+      ['2025-03-01', 1, 1, 10],
+      ['2025-03-02', 2, 2, 10],
+      ['2025-03-03', 3, 3, 10]
+    ]);
+  });
+
+  it('weights weekdays', () => {
+    // Fri 2025-08-01 .. Mon 2025-08-04: weights 1, 0.5, 0.5, 1
+    assert.deepStrictEqual(periods(context.prorateBudget(300, '2025-08-01', '2025-08-04', { mode: 'weekday', by: 'day' }))
+      .map(p => p[3]), [100, 50, 50, 100]);
+    const weekdaysOnly = { mode: 'weekday', weights: [0, 1, 1, 1, 1, 1, 0], by: 'day' };
+    assert.deepStrictEqual(periods(context.prorateBudget(100, '2025-08-01', '2025-08-04', weekdaysOnly))
+      .map(p => p[3]), [50, 0, 0, 50]);
+    // Nothing to weight: fall back to even.
+    assert.deepStrictEqual(periods(context.prorateBudget(100, '2025-08-02', '2025-08-03', weekdaysOnly))
+      .map(p => p[3]), [50, 50]);
+  });
+
+  it('clips allocations to a window', () => {
+    assert.strictEqual(context.prorateBudgetInWindow(310, '2025-07-01', '2025-07-31', '2025-07-10', '2025-07-19'), 100);
+    assert.strictEqual(context.prorateBudgetInWindow(310, '2025-07-01', '2025-07-31', '2025-08-01', '2025-08-31'), 0);
+  });
+
+  it('rejects what it cannot spread', () => {
+    assert.throws(() => context.prorateBudget('100', '2025-01-01', '2025-01-02'), /Budget must be a number/);
+    assert.throws(() => context.prorateBudget(100, '2025-01-05', '2025-01-02'), /End date 2025-01-02 is before start date 2025-01-05/);
+    assert.throws(() => context.prorateBudget(100, 'soon', '2025-01-02'), /Start date is not a date: "soon"/);
+    assert.throws(() => context.prorateBudget(100, '2025-01-01', '2025-01-02', 'monthly'), /Unsupported proration mode "monthly"/);
+    assert.throws(() => context.prorateBudget(100, '2025-01-01', '2025-01-02', { mode: 'weekday', weights: [1, 2] }), /7 numbers/);
+  });
+});
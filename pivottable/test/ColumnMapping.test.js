@@ -0,0 +1,52 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadProject, plain } = require('./harness');
+const { createFakeSpreadsheet } = require('./fakes');
+
+const HEADER = ['Campaign ID', 'Week', ' client  name ', 'Platform', 'Meta Budget', 'Start Date', 'End Date'];
+
+describe('resolveColumnMapping', () => {
+  it('finds fields by any alias, ignoring case and spacing', () => {
+    const { context } = loadProject({ files: ['ColumnMapping.js'] });
+    assert.deepStrictEqual(plain(context.resolveColumnMapping(HEADER, ['client', 'budget', 'startDate'],
+      { optional: ['remarks', 'endDate'] })), { client: 2, budget: 4, startDate: 5, endDate: 6 });
+  });
+
+  it('names every missing header in one error', () => {
+    const { context } = loadProject({ files: ['ColumnMapping.js'] });
+    assert.throws(() => context.resolveColumnMapping(HEADER, ['client', 'adFormat', 'campaignType'], { sheetName: 'Weekly Log' }),
+      new RegExp('^Error: Missing columns in "Weekly Log": adFormat \\("Ad Format"\\), ' +
+        'campaignType \\("Campaign Type"\\)\\. Rename the headers'));
+    assert.throws(() => context.resolveColumnMapping(HEADER, ['owner']), /Unknown field "owner"/);
+  });
+
+  it('reports a field whose names match more than one column', () => {
+    const { context } = loadProject({ files: ['ColumnMapping.js'] });
+    assert.throws(() => context.resolveColumnMapping(HEADER.concat(['Client']), ['client', 'budget'], { sheetName: 'Weekly Log' }),
+      /^Error: Ambiguous columns in "Weekly Log": client matches column C \("client  name"\) and column H \("Client"\)\./);
+    const aliases = { budget: ['Meta Budget'], spend: ['Meta Budget'] };
+    assert.throws(() => context.resolveColumnMapping(HEADER, ['budget', 'spend'], { aliases }),
+      /budget and spend both match column E \("Meta Budget"\)/);
+  });
+
+  it('does not match loose names unless the mapping sheet lists them', () => {
+    const { context } = loadProject({ files: ['ColumnMapping.js'] });
+    assert.throws(() => context.resolveColumnMapping(['Type', 'Budget'], ['campaignType', 'budget']),
+      /Missing columns: campaignType \("Campaign Type"\), budget \("Meta Budget"\)/);
+  });
+
+  it('reads aliases from the "Column Mapping" sheet', () => {
+    const ss = createFakeSpreadsheet({
+      sheets: {
+        'Weekly Log': [['Cliente', 'Presupuesto', 'Platform']],
+        'Column Mapping': [['Field', 'Header names (comma-separated)'], ['client', 'Cliente'], ['budget', 'Budget (HKD), Presupuesto']]
+      }
+    });
+    const { context } = loadProject({ files: ['ColumnMapping.js'], spreadsheets: [ss] });
+    assert.deepStrictEqual(plain(context.checkColumnMapping('Weekly Log', ['client', 'budget', 'platform'])),
+      { client: 0, budget: 1, platform: 2 });
+    assert.throws(() => context.checkColumnMapping('Missing', ['client']), /Source sheet "Missing" not found/);
+  });
+});
@@ -0,0 +1,185 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const vm = require('node:vm');
+const { loadProject, plain } = require('./harness');
+
+// Weekly log rows: only the dashboard columns are filled, at the indexes in COLUMNS.
+const COLUMNS = { client: 6, platform: 7, adFormat: 8, budget: 9, campaignType: 12, frequency: 18, startDate: 19, endDate: 20 };
+
+function logRow(fields) {
+  const row = new Array(21).fill('');
+  row[6] = fields.client;
+  row[8] = fields.adFormat;
+  row[9] = fields.budget;
+  row[12] = fields.campaignType;
+  row[18] = fields.frequency;
+  row[19] = fields.start;
+  row[20] = fields.end;
+  return row;
+}
+
+const ROWS = [
+  logRow({ client: 'Acme', adFormat: 'Video', budget: 100, campaignType: 'Awareness', frequency: 'Weekly', start: '2025-08-05', end: '2025-08-20' }),
+  logRow({ client: 'Acme', adFormat: 'Static', budget: 50, campaignType: 'Sales', frequency: 'Daily', start: '2025-07-01', end: '2025-08-02' }),
+  logRow({ client: 'Globex', adFormat: 'Video', budget: 30, campaignType: 'Awareness', frequency: 'Weekly', start: '2025-09-01', end: '2025-09-30' }),
+  logRow({ client: 'N/A', adFormat: 'N/A', budget: 999, campaignType: 'N/A', frequency: 'Weekly', start: '2025-08-01', end: '2025-08-31' }),
+  logRow({ client: 'Globex', adFormat: 'Video', budget: 'TBC', campaignType: 'Sales', frequency: '', start: 'not a date', end: '' })
+];
+
+describe('aggregateDashboardCharts', () => {
+  const noSavedDefinition = { getDocumentProperties: () => ({ getProperty: () => null }) };
+  const { context } = loadProject({ files: ['DashboardCharts.js', 'BudgetProration.js'], globals: { PropertiesService: noSavedDefinition } });
+
+  it('builds the default tables, header row first', () => {
+    const tables = plain(context.aggregateDashboardCharts(ROWS, null, { columns: COLUMNS, now: new Date(2025, 8, 15) }));
+    assert.deepStrictEqual(tables.budgetByCampaignType, [['Campaign Type', 'Budget'], ['Awareness', 30]]);
+    assert.deepStrictEqual(tables.budgetByAdFormat, [['Ad Format', 'Budget'], ['Video', 30]]);
+    assert.deepStrictEqual(tables.campaignsByClient, [['Client', 'Number of Campaigns'], ['Acme', 2], ['Globex', 2]]);
+    assert.deepStrictEqual(tables.frequencyByClient, [
+      ['Client', 'Weekly', 'Daily'],
+      ['Acme', 1, 1],
+      ['Globex', 1, 0]
+    ]);
+  });
+
+  it('moves the month windows to the reporting month and prorates budgets into them', () => {
+    const tables = plain(context.aggregateDashboardCharts(ROWS, null,
+      { columns: COLUMNS, now: new Date(2025, 8, 15), reportMonth: '2025-08' }));
+    // Static runs Jul 1 - Aug 2: 2 of its 33 days are in August.
+    assert.deepStrictEqual(tables.budgetByAdFormat.slice(0, 2), [['Ad Format', 'Budget'], ['Video', 100]]);
+    assert.strictEqual(tables.budgetByAdFormat[2][0], 'Static');
+    assert.ok(Math.abs(tables.budgetByAdFormat[2][1] - 50 * 2 / 33) < 1e-9);
+    assert.throws(() => context.aggregateDashboardCharts(ROWS, null, { columns: COLUMNS, reportMonth: 'August' }),
+      /Unsupported reportMonth "August"/);
+  });
+
+  it('supports other aggregations and custom windows', () => {
+    const charts = [{
+      id: 'avg', chartType: 'BAR', dimension: 'client', measure: 'budget', aggregation: 'average',
+      window: { start: '2025-08-01', end: '2025-09-30' }, data: { row: 1, column: 1 }, position: { row: 1, column: 3 }
+    }];
+    assert.deepStrictEqual(plain(context.aggregateDashboardCharts(ROWS, charts, { columns: COLUMNS })).avg,
+      [['client', 'budget'], ['Acme', 75], ['Globex', 30]]);
+  });
+
+  it('spreads budgets over months with the month dimension', () => {
+    const charts = [{
+      id: 'trend', chartType: 'LINE', dimension: 'month', measure: 'budget', prorate: 'even',
+      data: { row: 1, column: 1 }, position: { row: 1, column: 3 }
+    }];
+    const table = plain(context.aggregateDashboardCharts(ROWS.slice(0, 3), charts, { columns: COLUMNS })).trend;
+    assert.deepStrictEqual(table.map(r => r[0]), ['month', '2025-07', '2025-08', '2025-09']);
+    assert.ok(Math.abs(table[1][1] - 50 * 31 / 33) < 1e-9);
+    assert.ok(Math.abs(table[2][1] - (100 + 50 * 2 / 33)) < 1e-9);
+    assert.strictEqual(table[3][1], 30);
+  });
+
+  it('leaves a campaign too long to prorate out of the budget charts only', () => {
+    const { context: ctx, logs } = loadProject({ files: ['DashboardCharts.js', 'BudgetProration.js'], globals: { PropertiesService: noSavedDefinition } });
+    const endless = logRow({ client: 'Initech', adFormat: 'Video', budget: 500, campaignType: 'Awareness', frequency: 'Weekly', start: '2000-01-01', end: '2025-09-30' });
+    const tables = plain(ctx.aggregateDashboardCharts(ROWS.concat([endless]), null, { columns: COLUMNS, now: new Date(2025, 8, 15) }));
+    assert.deepStrictEqual(tables.budgetByAdFormat, [['Ad Format', 'Budget'], ['Video', 30]]);
+    assert.deepStrictEqual(tables.campaignsByClient, [['Client', 'Number of Campaigns'], ['Acme', 2], ['Globex', 2], ['Initech', 1]]);
+    assert.ok(logs.some(line => /left out a row: Campaign from 2000-01-01 to 2025-09-30 is longer than 3660 days/.test(line)), logs.join('\n'));
+  });
+
+  it('resolves relative windows and labels them for the title', () => {
+    const window = (spec, reportDate) => {
+      const w = context.dashboardWindow_(spec, reportDate, 'c');
+      return [w.start.toDateString(), w.end.toDateString(), w.label];
+    };
+    const aug20 = vm.runInContext('new Date(2025, 7, 20)', context);
+    assert.deepStrictEqual(window('previousMonth', aug20), ['Tue Jul 01 2025', 'Thu Jul 31 2025', 'July 2025']);
+    assert.deepStrictEqual(window('quarterToDate', aug20), ['Tue Jul 01 2025', 'Wed Aug 20 2025', 'Q3 2025 to Date']);
+    assert.deepStrictEqual(window({ lastDays: 7 }, aug20), ['Thu Aug 14 2025', 'Wed Aug 20 2025', 'Last 7 Days']);
+    assert.deepStrictEqual(window({ start: '2025-08-01', end: '2025-08-31' }, aug20),
+      ['Fri Aug 01 2025', 'Sun Aug 31 2025', 'August 2025']);
+    assert.strictEqual(window({ start: '2025-08-01', end: '2025-09-15' }, aug20)[2], 'Aug 1 – Sep 15, 2025');
+
+    const spec = { title: 'Budget by Ad Format ({window})' };
+    assert.strictEqual(context.dashboardChartTitle_(spec, { label: 'Q3 2025 to Date' }), 'Budget by Ad Format (Q3 2025 to Date)');
+    assert.strictEqual(context.dashboardChartTitle_(spec, null), 'Budget by Ad Format');
+  });
+
+  it('rejects charts it cannot build', () => {
+    const base = { id: 'c', chartType: 'BAR', dimension: 'client', data: { row: 1, column: 1 }, position: { row: 1, column: 1 } };
+    const check = (patch) => () => context.aggregateDashboardCharts([], [Object.assign({}, base, patch)]);
+    assert.throws(check({ dimension: 'owner' }), /unknown dimension field "owner"/);
+    assert.throws(check({ aggregation: 'SUM' }), /SUM needs a measure/);
+    assert.throws(check({ aggregation: 'MEDIAN', measure: 'budget' }), /unsupported aggregation "MEDIAN"/);
+    assert.throws(check({ window: 'lastWeek' }), /unsupported window "lastWeek"/);
+    assert.throws(check({ position: { row: 0, column: 1 } }), /position needs a 1-based/);
+    assert.throws(check({ dimension: 'month', measure: 'budget' }), /month dimension needs prorate/);
+    assert.throws(check({ measure: 'budget', aggregation: 'MAX', prorate: 'even' }), /prorate needs aggregation SUM/);
+    assert.throws(() => context.aggregateDashboardCharts([], [base, base]), /Duplicate dashboard chart id "c"/);
+    assert.throws(() => context.aggregateDashboardCharts([], [base]), /options.columns is required/);
+  });
+});
+
+describe('createDashboardAggregates', () => {
+  const noSavedDefinition = { getDocumentProperties: () => ({ getProperty: () => null }) };
+  const { context } = loadProject({ files: ['DashboardCharts.js', 'BudgetProration.js'], globals: { PropertiesService: noSavedDefinition } });
+  const options = { columns: COLUMNS, now: new Date(2025, 7, 15) };
+  const rowsByNumber = rows => {
+    const byNumber = {};
+    rows.forEach((row, i) => { byNumber[i + 2] = row; });
+    return byNumber;
+  };
+  // Through JSON, as when the aggregates are cached between edits
+  const roundTrip = aggregates => JSON.parse(JSON.stringify(aggregates));
+  // New groups are added at the end, so compare the rows of each table in any order
+  const unordered = tables => {
+    const copy = plain(tables);
+    Object.keys(copy).forEach(id => { copy[id] = [copy[id][0]].concat(copy[id].slice(1).sort()); });
+    return copy;
+  };
+
+  it('builds the same tables as aggregateDashboardCharts', () => {
+    const aggregates = context.createDashboardAggregates(ROWS, null, options);
+    assert.deepStrictEqual(plain(context.dashboardAggregateTables(aggregates)),
+      plain(context.aggregateDashboardCharts(ROWS, null, options)));
+  });
+
+  it('applies edited rows and reports the charts they change', () => {
+    const aggregates = roundTrip(context.createDashboardAggregates(ROWS, null, options));
+    const edited = ROWS.slice();
+    edited[0] = logRow({ client: 'Acme', adFormat: 'Static', budget: 100, campaignType: 'Awareness', frequency: 'Weekly', start: '2025-08-05', end: '2025-08-20' });
+    edited[2] = logRow({ client: 'Initech', adFormat: 'Video', budget: 30, campaignType: 'Awareness', frequency: 'Daily', start: '2025-09-01', end: '2025-09-30' });
+
+    const changed = context.updateDashboardAggregates(aggregates, { 2: edited[0], 4: edited[2] }, null, options);
+    assert.deepStrictEqual(Array.from(changed), ['campaignsByClient', 'frequencyByClient', 'budgetByAdFormat']);
+    assert.deepStrictEqual(unordered(context.dashboardAggregateTables(aggregates)),
+      unordered(context.aggregateDashboardCharts(edited, null, options)));
+
+    // Removing the only Initech row drops its group and the Daily column it added
+    context.updateDashboardAggregates(aggregates, { 4: null }, null, options);
+    const remaining = edited.filter((_, i) => i !== 2);
+    assert.deepStrictEqual(unordered(context.dashboardAggregateTables(aggregates)),
+      unordered(context.aggregateDashboardCharts(remaining, null, options)));
+  });
+
+  it('re-totals MIN and MAX charts from the stored rows', () => {
+    const charts = [{
+      id: 'max', chartType: 'BAR', dimension: 'client', measure: 'budget', aggregation: 'MAX',
+      data: { row: 1, column: 1 }, position: { row: 1, column: 3 }
+    }];
+    const aggregates = roundTrip(context.createDashboardAggregates(ROWS, charts, options));
+    const edited = ROWS.slice();
+    edited[0] = logRow({ client: 'Acme', adFormat: 'Video', budget: 10, campaignType: 'Awareness', frequency: 'Weekly', start: '2025-08-05', end: '2025-08-20' });
+    context.updateDashboardAggregates(aggregates, { 2: edited[0] }, charts, options);
+    assert.deepStrictEqual(plain(context.dashboardAggregateTables(aggregates, charts)).max,
+      [['client', 'budget'], ['Acme', 50], ['Globex', 30]]);
+  });
+
+  it('asks for a rebuild when the definition, columns or window changed', () => {
+    const aggregates = context.createDashboardAggregates(ROWS, null, options);
+    const rows = rowsByNumber([ROWS[0]]);
+    assert.strictEqual(context.updateDashboardAggregates(aggregates, rows, null,
+      { columns: COLUMNS, now: new Date(2025, 8, 1) }), null);
+    assert.strictEqual(context.updateDashboardAggregates(aggregates, rows, null,
+      { columns: Object.assign({}, COLUMNS, { client: 5 }), now: options.now }), null);
+    assert.deepStrictEqual(Array.from(context.updateDashboardAggregates(aggregates, rows, null, options)), []);
+  });
+});
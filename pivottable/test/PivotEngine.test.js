@@ -0,0 +1,116 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const vm = require('node:vm');
+const { loadProject, plain } = require('./harness');
+
+/** Source values built inside the sandbox, so its Dates pass the engine's instanceof checks. */
+function loadEngine() {
+  const { context } = loadProject();
+  const values = vm.runInContext(`[
+    ['Date', 'Region', 'Channel', 'Spend', 'Clicks'],
+    [new Date(2024, 0, 5), 'EU', 'Search', 100, 10],
+    [new Date(2024, 0, 20), 'EU', 'Social', 50, 25],
+    [new Date(2024, 1, 3), 'US', 'Search', 300, 20],
+    [new Date(2024, 3, 9), 'US', 'Social', '', 5],
+    [new Date(2024, 3, 15), 'APAC', 'Search', 40, 'n/a']
+  ]`, context);
+  return { context, values, now: vm.runInContext('new Date(2024, 3, 20)', context) };
+}
+
+describe('computePivot', () => {
+  it('groups rows and columns with totals', () => {
+    const { context, values } = loadEngine();
+    const result = plain(context.computePivot(values, {
+      rows: [{ column: 'Region' }],
+      columns: [{ column: 'Channel' }],
+      values: [{ column: 'Spend', summarizeFunction: 'SUM' }]
+    }));
+    assert.deepStrictEqual(result.columns.map(c => [c.keys, c.type]),
+      [[['Search'], 'data'], [['Social'], 'data'], [[], 'total']]);
+    assert.deepStrictEqual(result.rows.map(r => [r.keys, r.cells]), [
+      [['APAC'], [[40], [null], [40]]],
+      [['EU'], [[100], [50], [150]]],
+      [['US'], [[300], [0], [300]]],
+      [[], [[440], [50], [490]]]
+    ]);
+  });
+
+  it('buckets dates and numbers, and applies manual groups', () => {
+    const { context, values } = loadEngine();
+    const sum = [{ column: 'Spend', summarizeFunction: 'SUM', name: 'Spend' }];
+    assert.deepStrictEqual(plain(context.computePivot(values, { rows: [{ column: 'Date', bucket: 'month' }], values: sum }).matrix),
+      [['Date', 'Spend'], ['Jan', 150], ['Feb', 300], ['Apr', 40], ['Grand Total', 490]]);
+    assert.deepStrictEqual(plain(context.computePivot(values, { rows: [{ column: 'Date', bucket: 'quarter+year' }], values: sum }).matrix),
+      [['Date', 'Spend'], ['2024-Q1', 450], ['2024-Q2', 40], ['Grand Total', 490]]);
+    const regions = context.computePivot(values, {
+      rows: [{ column: 'Region', groups: { International: ['EU', 'APAC'] } }],
+      values: sum
+    });
+    assert.deepStrictEqual(plain(regions.matrix), [['Region', 'Spend'], ['International', 190], ['US', 300], ['Grand Total', 490]]);
+  });
+
+  it('filters by visible values and conditions', () => {
+    const { context, values, now } = loadEngine();
+    const count = [{ column: 'Region', summarizeFunction: 'COUNTA', name: 'Rows' }];
+    const total = (filters) => plain(context.computePivot(values, { values: count, filters }, { now }).rows[0].cells[0][0]);
+    assert.strictEqual(total([{ column: 'Region', visibleValues: ['EU', 'APAC'] }]), 3);
+    assert.strictEqual(total([{ column: 'Spend', condition: { type: 'NUMBER_GREATER', values: [60] } }]), 2);
+    assert.strictEqual(total([{ column: 'Date', condition: { type: 'DATE_ON_OR_AFTER', values: ['2024-02-01'] } }]), 3);
+    assert.throws(() => context.computePivot(values, { values: count, filters: [{ column: 'Spend', condition: { type: 'CUSTOM_FORMULA', values: ['=TRUE'] } }] }),
+      /cannot evaluate CUSTOM_FORMULA/);
+  });
+
+  it('runs a formula per row before summarizing it, as Sheets does', () => {
+    const { context, values } = loadEngine();
+    const result = context.computePivot(values, {
+      rows: [{ column: 'Region' }],
+      values: [{ formula: "='Spend' / 'Clicks'", summarizeFunction: 'SUM', name: 'Sum of CPC' }]
+    });
+    // EU: 100/10 + 50/25; US: 300/20 + 0/5; APAC's text clicks give no number, and SUM of none is 0
+    assert.deepStrictEqual(plain(result.matrix), [['Region', 'Sum of CPC'], ['APAC', 0], ['EU', 12], ['US', 15], ['Grand Total', 27]]);
+  });
+
+  it('aggregates CUSTOM formulas and calculated fields before combining them', () => {
+    const { context, values } = loadEngine();
+    const result = context.computePivot(values, {
+      rows: [{ column: 'Region' }],
+      values: [
+        { name: 'CPC', calculated: '{Spend} / {Clicks}' },
+        { formula: "=AVERAGE('Spend') * 2", summarizeFunction: 'CUSTOM', name: 'Double avg' }
+      ]
+    });
+    // CPC is total spend / total clicks (APAC has no numeric clicks, so divides by zero)
+    assert.deepStrictEqual(plain(result.matrix), [
+      ['Region', 'CPC', 'Double avg'],
+      ['APAC', null, 80],
+      ['EU', 150 / 35, 150],
+      ['US', 300 / 25, 600],
+      ['Grand Total', 490 / 60, 245]
+    ]);
+  });
+});
+
+describe('pivotResultToMatrix_', () => {
+  it('labels subtotals and repeats outer row keys on every line', () => {
+    const { context, values } = loadEngine();
+    const result = context.computePivot(values, {
+      rows: [{ column: 'Region' }, { column: 'Channel' }],
+      columns: [{ column: 'Date', bucket: 'quarter' }],
+      values: [{ column: 'Clicks', summarizeFunction: 'SUM', name: 'Clicks' }],
+      filters: [{ column: 'Region', visibleValues: ['EU', 'US'] }]
+    });
+    assert.deepStrictEqual(plain(context.pivotResultToMatrix_(result)), [
+      ['Date', '', 'Q1', 'Q2', 'Grand Total'],
+      ['Region', 'Channel', 'Clicks', 'Clicks', 'Clicks'],
+      ['EU', 'Search', 10, null, 10],
+      ['EU', 'Social', 25, null, 25],
+      ['EU Total', '', 35, null, 35],
+      ['US', 'Search', 20, null, 20],
+      ['US', 'Social', null, 5, 5],
+      ['US Total', '', 20, 5, 25],
+      ['Grand Total', '', 55, 5, 60]
+    ]);
+  });
+});
@@ -0,0 +1,458 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { loadProject, plain } = require('./harness');
+const { createFakeSpreadsheet } = require('./fakes');
+
+const DATA = [
+  ['ID', 'Date', 'Region', 'Status', 'Amount', 'Notes'],
+  [1, '2025-01-05', 'EU', 'Open', 120, ''],
+  [2, '2025-01-09', 'US', 'Closed', 80, 'late'],
+  [3, '2025-02-01', 'EU', 'Closed', 45, '']
+];
+
+function dataSheetProject() {
+  const ss = createFakeSpreadsheet({ id: 'ss-1', sheets: { Data: DATA } });
+  return Object.assign(loadProject({ spreadsheets: [ss] }), { ss });
+}
+
+describe('letterToColIndex1_', () => {
+  const { context } = loadProject();
+
+  it('maps single letters', () => {
+    assert.strictEqual(context.letterToColIndex1_('A'), 1);
+    assert.strictEqual(context.letterToColIndex1_('Z'), 26);
+  });
+
+  it('maps multi-letter columns and ignores case', () => {
+    assert.strictEqual(context.letterToColIndex1_('AA'), 27);
+    assert.strictEqual(context.letterToColIndex1_('az'), 52);
+    assert.strictEqual(context.letterToColIndex1_('ZZ'), 702);
+  });
+});
+
+describe('colRefToOffset_', () => {
+  let context;
+  let range;
+  let headerMap;
+  beforeEach(() => {
+    const project = dataSheetProject();
+    context = project.context;
+    range = project.ss.getSheetByName('Data').getRange('B1:F4'); // Date..Notes
+    headerMap = context.buildHeaderMap_(range.getValues()[0]);
+  });
+
+  it('resolves header names to offsets within the range', () => {
+    assert.strictEqual(context.colRefToOffset_('Date', range, headerMap), 0);
+    assert.strictEqual(context.colRefToOffset_('Amount', range, headerMap), 3);
+  });
+
+  it('matches headers ignoring case and spacing unless turned off', () => {
+    assert.strictEqual(context.colRefToOffset_('  amount ', range, headerMap), 3);
+    assert.throws(() => context.colRefToOffset_('amount', range, headerMap, { ignoreCase: false }),
+      /outside the source range|Unknown column reference/);
+  });
+
+  it('resolves column letters and 1-based indexes against the sheet', () => {
+    assert.strictEqual(context.colRefToOffset_('D', range, headerMap), 2);
+    assert.strictEqual(context.colRefToOffset_(6, range, headerMap), 4);
+  });
+
+  it('prefers an exact header, then column letters, then a loose header match', () => {
+    const headers = ['c', 'Ad', 'Amount'];
+    const letterRange = createFakeSpreadsheet({ sheets: { S: [headers] } }).getSheetByName('S').getRange('A1:C1');
+    const letterHeaders = context.buildHeaderMap_(headers);
+    assert.strictEqual(context.colRefToOffset_('c', letterRange, letterHeaders), 0); // exact header
+    assert.strictEqual(context.colRefToOffset_('C', letterRange, letterHeaders), 2); // column C, not header "c"
+    assert.strictEqual(context.colRefToOffset_('ad', letterRange, letterHeaders), 1); // AD is outside A1:C1
+    assert.strictEqual(context.colRefToOffset_('amount', letterRange, letterHeaders), 2);
+  });
+
+  it('rejects references outside the source range', () => {
+    assert.throws(() => context.colRefToOffset_('A', range, headerMap), /outside the source range B1:F4/);
+    assert.throws(() => context.colRefToOffset_(0, range, headerMap), /1-based/);
+    assert.throws(() => context.colRefToOffset_('Region!', range, headerMap), /Unknown column reference/);
+  });
+
+  it('picks duplicates with Name#n and lists candidates when ambiguous', () => {
+    const dupHeaders = context.buildHeaderMap_(['Amount', 'Region', 'Amount']);
+    const dupRange = createFakeSpreadsheet({ sheets: { S: [['Amount', 'Region', 'Amount']] } })
+      .getSheetByName('S').getRange('A1:C1');
+    assert.strictEqual(context.colRefToOffset_('Amount#2', dupRange, dupHeaders), 2);
+    assert.throws(() => context.colRefToOffset_('Amount', dupRange, dupHeaders),
+      /ambiguous; it matches A \("Amount"\), C \("Amount"\)/);
+    assert.throws(() => context.colRefToOffset_('Amount#3', dupRange, dupHeaders), /out of range/);
+  });
+});
+
+describe('rangeToGridRange_', () => {
+  it('converts a range to a 0-based, end-exclusive GridRange', () => {
+    const ss = createFakeSpreadsheet({ sheets: { First: [], Second: DATA } });
+    const { context } = loadProject({ spreadsheets: [ss] });
+    const range = ss.getSheetByName('Second').getRange('B2:D10');
+    assert.deepStrictEqual(plain(context.rangeToGridRange_(range)), {
+      sheetId: 1,
+      startRowIndex: 1,
+      endRowIndex: 10,
+      startColumnIndex: 1,
+      endColumnIndex: 4
+    });
+  });
+
+  it('covers the sheet height for open-ended ranges', () => {
+    const ss = createFakeSpreadsheet({ sheets: { Data: DATA } });
+    const { context } = loadProject({ spreadsheets: [ss] });
+    const grid = plain(context.rangeToGridRange_(ss.getSheetByName('Data').getRange('A1:F')));
+    assert.strictEqual(grid.endRowIndex, 1000);
+    assert.strictEqual(grid.endColumnIndex, 6);
+  });
+});
+
+describe('toPivotGroup_', () => {
+  const { context } = loadProject();
+
+  it('defaults to totals shown and ascending order', () => {
+    assert.deepStrictEqual(plain(context.toPivotGroup_(2, { column: 'Region' })), {
+      sourceColumnOffset: 2,
+      showTotals: true,
+      sortOrder: 'ASCENDING'
+    });
+  });
+
+  it('maps sortOrder and showTotals', () => {
+    assert.deepStrictEqual(plain(context.toPivotGroup_(0, { column: 'A', showTotals: false, sortOrder: 'desc' })), {
+      sourceColumnOffset: 0,
+      showTotals: false,
+      sortOrder: 'DESCENDING'
+    });
+    assert.throws(() => context.toPivotGroup_(0, { column: 'A', sortOrder: 'sideways' }), /Unsupported sortOrder/);
+  });
+
+  it('turns sortBy into a valueBucket pointing at the named value', () => {
+    const values = [{ column: 'ID', name: 'Count' }, { column: 'Amount', name: 'Total' }];
+    const group = plain(context.toPivotGroup_(2, { column: 'Region', sortBy: { value: 'Total' } }, values));
+    assert.deepStrictEqual(group.valueBucket, { valuesIndex: 1 });
+  });
+
+  it('adds group rules from bucket and histogram', () => {
+    assert.deepStrictEqual(plain(context.toPivotGroup_(1, { column: 'Date', bucket: 'month+year' })).groupRule,
+      { dateTimeRule: { type: 'YEAR_MONTH' } });
+    assert.deepStrictEqual(plain(context.toPivotGroup_(4, { column: 'Amount', histogram: { interval: 50 } })).groupRule,
+      { histogramRule: { interval: 50 } });
+    assert.throws(() => context.toPivotGroup_(4, { column: 'Amount', bucket: 'month', histogram: { interval: 5 } }),
+      /use only one of bucket, histogram/);
+  });
+});
+
+describe('toPivotValue_', () => {
+  const { context } = loadProject();
+
+  it('defaults to SUM over the source column', () => {
+    assert.deepStrictEqual(plain(context.toPivotValue_(4, { column: 'Amount' })), {
+      sourceColumnOffset: 4,
+      summarizeFunction: 'SUM'
+    });
+  });
+
+  it('keeps the name and normalizes the function', () => {
+    assert.deepStrictEqual(plain(context.toPivotValue_(0, { column: 'ID', summarizeFunction: 'counta', name: 'Rows' })), {
+      sourceColumnOffset: 0,
+      summarizeFunction: 'COUNTA',
+      name: 'Rows'
+    });
+    assert.throws(() => context.toPivotValue_(0, { summarizeFunction: 'TOTAL' }), /Unsupported summarizeFunction "TOTAL"/);
+  });
+
+  it('sends a formula instead of a source column', () => {
+    assert.deepStrictEqual(plain(context.toPivotValue_(null, { summarizeFunction: 'CUSTOM', formula: '=SUM(Amount)', name: 'F' })), {
+      summarizeFunction: 'CUSTOM',
+      name: 'F',
+      formula: '=SUM(Amount)'
+    });
+  });
+
+  it('maps calculatedDisplayType aliases', () => {
+    const pv = plain(context.toPivotValue_(4, { column: 'Amount', calculatedDisplayType: 'grand total' }));
+    assert.strictEqual(pv.calculatedDisplayType, 'PERCENT_OF_GRAND_TOTAL');
+  });
+});
+
+describe('toCalculatedPivotValue_', () => {
+  const { context } = loadProject();
+  const header = ['Campaign', 'Spend', 'Clicks', 'Meta  Budget'];
+  const headerMap = context.buildHeaderMap_(header);
+  const range = { getColumn: () => 1, getNumColumns: () => header.length, getA1Notation: () => 'A1:D9' };
+  const calculated = (spec, headerMatch) => plain(context.buildPivotValue_(spec,
+    (colRef) => context.colRefToOffset_(colRef, range, headerMap, headerMatch), headerMap, headerMatch));
+
+  it('summarizes each field before combining them', () => {
+    assert.deepStrictEqual(calculated({ name: 'CPC', calculated: '{Spend} / {Clicks}' }), {
+      summarizeFunction: 'CUSTOM',
+      name: 'CPC',
+      formula: "=SUM('Spend') / SUM('Clicks')"
+    });
+    assert.strictEqual(calculated({ name: 'Avg CPC', calculated: '{Spend}/{Clicks}', summarizeFunction: 'average' }).formula,
+      "=AVERAGE('Spend')/AVERAGE('Clicks')");
+    assert.strictEqual(calculated({ name: 'Mix', calculated: 'MAX({Spend}) / SUM({Clicks})', summarizeFunction: 'CUSTOM' }).formula,
+      "=MAX('Spend') / SUM('Clicks')");
+  });
+
+  it('finds headers with the headerMatch options and sends their exact names', () => {
+    assert.strictEqual(calculated({ name: 'Per day', calculated: '{meta budget} / 30' }).formula, "=SUM('Meta  Budget') / 30");
+    assert.throws(() => calculated({ name: 'Per day', calculated: '{meta budget} / 30' }, { ignoreCase: false }),
+      /references unknown header\(s\): meta budget/);
+    assert.throws(() => calculated({ name: 'Bad', calculated: '{CPC} * 2' }), /unknown header\(s\): CPC\. Available: Campaign, Spend/);
+  });
+});
+
+describe('createExamplePivot', () => {
+  it('creates the Pivot sheet and sends one updateCells request with the full pivot', () => {
+    const { context, Sheets, ss } = dataSheetProject();
+    context.createExamplePivot();
+
+    assert.ok(ss.getSheetByName('Pivot'), 'Pivot sheet is created');
+    Sheets.assertCallCount(1);
+    assert.deepStrictEqual(Sheets.calls[0], {
+      spreadsheetId: 'ss-1',
+      requests: [{
+        updateCells: {
+          start: { sheetId: 1, rowIndex: 0, columnIndex: 0 },
+          rows: [{
+            values: [{
+              pivotTable: {
+                source: { sheetId: 0, startRowIndex: 0, endRowIndex: 1000, startColumnIndex: 0, endColumnIndex: 6 },
+                rows: [{ sourceColumnOffset: 2, showTotals: true, sortOrder: 'ASCENDING' }],
+                columns: [{ sourceColumnOffset: 3, showTotals: true, sortOrder: 'ASCENDING' }],
+                values: [
+                  { sourceColumnOffset: 4, summarizeFunction: 'SUM', name: 'Total Amount' },
+                  { sourceColumnOffset: 0, summarizeFunction: 'COUNT', name: 'Count of ID' }
+                ]
+              }
+            }]
+          }],
+          fields: 'pivotTable'
+        }
+      }]
+    });
+  });
+
+  it('fails without sending anything when the source sheet is missing', () => {
+    const ss = createFakeSpreadsheet({ id: 'ss-2', sheets: { Other: DATA } });
+    const { context, Sheets } = loadProject({ spreadsheets: [ss] });
+    assert.throws(() => context.createExamplePivot(), /Source sheet "Data" not found/);
+    Sheets.assertCallCount(0);
+  });
+
+  it('can be matched partially with assertRequest', () => {
+    const { context, Sheets } = dataSheetProject();
+    context.createExamplePivot();
+    const req = Sheets.assertRequest('updateCells', { fields: 'pivotTable', start: { rowIndex: 0 } });
+    assert.strictEqual(req.rows[0].values[0].pivotTable.values.length, 2);
+    assert.throws(() => Sheets.assertRequest('addBanding'), /No addBanding request matches/);
+  });
+});
+
+describe('exportPivotOutput', () => {
+  // A pivot drawn at AA2:AB4 of "Out", with Drive, UrlFetchApp and MailApp stand-ins
+  function exportProject() {
+    const out = [['']];
+    out[1] = new Array(26).fill('').concat(['Region', 'Amount']);
+    out[2] = new Array(26).fill('').concat(['EU', 165]);
+    out[3] = new Array(26).fill('').concat(['US', 80]);
+    const ss = createFakeSpreadsheet({ id: 'ss-1', sheets: { Data: DATA, Out: out } });
+    const sheet = ss.getSheetByName('Out');
+    sheet.pivotTables.push({ getAnchorCell: () => sheet.getRange('AA2') });
+    const fetched = [];
+    const blob = (name) => ({ name, setName(n) { this.name = n; return this; } });
+    const globals = {
+      UrlFetchApp: { fetch: (url) => { fetched.push(url); return { getResponseCode: () => 200, getBlob: () => blob('export') }; } },
+      ScriptApp: { getOAuthToken: () => 'token' },
+      Utilities: { formatDate: () => '2025-08-01', newBlob: (text, type, name) => Object.assign(blob(name), { text }) },
+      MimeType: { CSV: 'text/csv' },
+      DriveApp: {
+        getRootFolder: () => ({ createFile: (b) => ({ getUrl: () => 'https://drive/' + b.name, getId: () => 'file-1', getBlob: () => b, text: b.text }) })
+      }
+    };
+    return Object.assign(loadProject({ spreadsheets: [ss], globals }), { fetched });
+  }
+
+  it('exports only the pivot block, also past column Z', () => {
+    const { context, fetched } = exportProject();
+    assert.strictEqual(context.exportPivotOutput('Out', 'AA2').rangeA1, 'AA2:AB4');
+
+    const pdf = context.exportPivotOutput('Out', 'aa2', { format: 'pdf', fileName: 'report' });
+    assert.strictEqual(pdf.name, 'report.pdf');
+    assert.match(fetched[0], /export\?format=pdf&gid=\d+&range=AA2%3AAB4&/);
+  });
+});
+
+describe('updatePivotTable', () => {
+  const MOVED = [
+    ['Region', 'Amount', 'ID', 'Status'],
+    ['EU', 120, 1, 'Open']
+  ];
+
+  function pivotProject() {
+    const ss = createFakeSpreadsheet({ id: 'ss-1', sheets: { Data: DATA, Moved: MOVED, Pivot: [] } });
+    const project = Object.assign(loadProject({ spreadsheets: [ss] }), { ss });
+    const existing = {
+      source: { sheetId: 0, startRowIndex: 0, endRowIndex: 4, startColumnIndex: 0, endColumnIndex: 6 },
+      rows: [{ sourceColumnOffset: 2, showTotals: true, sortOrder: 'ASCENDING' }],
+      values: [{ sourceColumnOffset: 4, summarizeFunction: 'SUM' }, { formula: "='Amount'", summarizeFunction: 'SUM' }],
+      filterSpecs: [{ columnOffsetIndex: 3, filterCriteria: { visibleValues: ['Open'] } }]
+    };
+    project.Sheets.onGet(() => ({ sheets: [{ data: [{ rowData: [{ values: [{ pivotTable: existing }] }] }] }] }));
+    return project;
+  }
+
+  it('keeps the columns of untouched parts by header name when only the source changes', () => {
+    const { context, Sheets } = pivotProject();
+    context.updatePivotTable({ destinationSheet: 'Pivot', sourceSheet: 'Moved', sourceRangeA1: 'A1:D2' });
+    const pivot = Sheets.assertRequest('updateCells').rows[0].values[0].pivotTable;
+    assert.deepStrictEqual(pivot.source, { sheetId: 1, startRowIndex: 0, endRowIndex: 2, startColumnIndex: 0, endColumnIndex: 4 });
+    assert.strictEqual(pivot.rows[0].sourceColumnOffset, 0);
+    assert.deepStrictEqual(pivot.values.map(v => v.sourceColumnOffset), [1, undefined]);
+    assert.strictEqual(pivot.filterSpecs[0].columnOffsetIndex, 3);
+  });
+
+  it('fails without writing when the new source lacks a column the pivot uses', () => {
+    const { context, Sheets } = pivotProject();
+    assert.throws(() => context.updatePivotTable({ destinationSheet: 'Pivot', sourceSheet: 'Moved', sourceRangeA1: 'A1:C2' }),
+      /The new source lacks columns the pivot uses: "Status" in filters\. /);
+    Sheets.assertCallCount(0);
+    context.updatePivotTable({
+      destinationSheet: 'Pivot', sourceSheet: 'Moved', sourceRangeA1: 'A1:C2',
+      filters: [{ column: 'Region', visibleValues: ['EU'] }]
+    });
+    Sheets.assertCallCount(1);
+  });
+});
+
+describe('createPivotTables', () => {
+  it('writes nothing, not even a staging sheet, when any config fails', () => {
+    const source = createFakeSpreadsheet({ id: 'src', sheets: { Data: DATA } });
+    const report = createFakeSpreadsheet({ id: 'report', sheets: { Summary: [] } });
+    const { context, Sheets } = loadProject({ spreadsheets: [source, report] });
+    const base = { spreadsheetId: 'src', sourceSheet: 'Data', sourceRangeA1: 'A1:F4', destinationSpreadsheetId: 'report' };
+    const configs = [
+      Object.assign({ destinationSheet: 'Pivot', rows: [{ column: 'Region' }], values: [{ column: 'Amount' }] }, base),
+      Object.assign({ destinationSheet: 'Pivot', anchorCellA1: 'B2:C3', rows: [{ column: 'Status' }] }, base),
+      Object.assign({ destinationSheet: 'Pivot', rows: [{ column: 'Owner' }] }, base)
+    ];
+    assert.throws(() => context.createPivotTables(configs),
+      /^Error: 2 of 3 pivot configs failed; nothing was created\.\n#1 \(Pivot\): Anchor must be a single cell like "A1"\. Got "B2:C3"\.\n#2 \(Pivot\): .*Owner/);
+    Sheets.assertCallCount(0);
+    assert.deepStrictEqual(report.getSheets().map(s => s.getName()), ['Summary']);
+
+    context.createPivotTables(configs.slice(0, 1));
+    assert.ok(report.getSheetByName('Data (import)'), 'stages the source once every config is valid');
+    const pivot = Sheets.assertRequest('updateCells').rows[0].values[0].pivotTable;
+    assert.strictEqual(pivot.source.sheetId, report.getSheetByName('Data (import)').getSheetId());
+  });
+
+  it('fails clearly when an added sheet is not visible to SpreadsheetApp for formatting', () => {
+    const ss = createFakeSpreadsheet({ id: 'ss-1', sheets: { Data: DATA } });
+    const { context, Sheets } = loadProject({ spreadsheets: [ss] });
+    const before = ss.getSheets();
+    ss.getSheets = () => before.slice(); // the addSheet reply's sheet never shows up
+    assert.throws(() => context.createPivotTables([{
+      sourceSheet: 'Data', sourceRangeA1: 'A1:F4', destinationSheet: 'Pivot',
+      rows: [{ column: 'Region' }], values: [{ column: 'Amount' }], format: { bandedRows: true }
+    }]), /Sheet \d+ was not found in spreadsheet ss-1; its pivot was written but not formatted/);
+    Sheets.assertRequest('updateCells', {});
+  });
+});
+
+describe('estimatePivotSize_', () => {
+  it('counts only the groups left after filters and group rules', () => {
+    const { context } = loadProject();
+    const size = (pivot) => plain(context.estimatePivotSize_(Object.assign({ values: [{ sourceColumnOffset: 4 }] }, pivot), DATA)).rows;
+    const byRegion = [{ sourceColumnOffset: 2 }];
+    assert.strictEqual(size({ rows: byRegion }), 4); // header, EU, US, grand total
+    assert.strictEqual(size({ rows: byRegion, filterSpecs: [{ columnOffsetIndex: 3, filterCriteria: { visibleValues: ['Open'] } }] }), 3);
+    assert.strictEqual(size({ rows: byRegion, filterSpecs: [{ columnOffsetIndex: 4, filterCriteria: { condition: { type: 'NUMBER_LESS', values: [{ userEnteredValue: '10' }] } } }] }), 3);
+    const allRegions = { manualRule: { groups: [{ groupName: { stringValue: 'All' }, items: [{ stringValue: 'EU' }, { stringValue: 'US' }] }] } };
+    assert.strictEqual(size({ rows: [{ sourceColumnOffset: 2, groupRule: allRegions }] }), 3);
+    assert.strictEqual(size({ rows: [{ sourceColumnOffset: 4, groupRule: { histogramRule: { interval: 1000, start: 0 } } }] }), 3);
+  });
+});
+
+describe('rebuildSavedPivot_', () => {
+  it('pins a config placed below to where it landed, so the next rebuild replaces it', () => {
+    const ss = createFakeSpreadsheet({ id: 'ss-1', sheets: { Data: DATA, Pivot: [['Notes']] } });
+    const store = {};
+    const PropertiesService = {
+      getDocumentProperties: () => ({
+        getProperty: (key) => (store.hasOwnProperty(key) ? store[key] : null),
+        setProperty: (key, value) => { store[key] = String(value); }
+      })
+    };
+    const { context, Sheets } = loadProject({
+      files: ['PivotTableBuilder.js', 'PivotEngine.js', 'PivotRegistry.js'],
+      spreadsheets: [ss],
+      globals: { PropertiesService }
+    });
+    context.savePivotConfig('By region', {
+      sourceSheet: 'Data', sourceRangeA1: 'A1:F4', destinationSheet: 'Pivot', placement: 'below',
+      rows: [{ column: 'Region' }], values: [{ column: 'Amount' }]
+    });
+
+    assert.strictEqual(context.rebuildSavedPivot_('By region').anchorCellA1, 'A3');
+    const saved = plain(context.loadPivotConfig('By region'));
+    assert.strictEqual(saved.anchorCellA1, 'A3');
+    assert.ok(!('placement' in saved));
+
+    const sheet = ss.getSheetByName('Pivot');
+    sheet.getRange('A3').setValue('Region');
+    sheet.pivotTables.push({ getAnchorCell: () => sheet.getRange('A3') });
+    assert.strictEqual(context.rebuildSavedPivot_('By region').anchorCellA1, 'A3');
+    const writes = Sheets.requests('updateCells').filter(r => r.updateCells.rows && r.updateCells.rows[0].values[0].pivotTable);
+    assert.deepStrictEqual(writes.map(r => r.updateCells.start.rowIndex), [2, 2]);
+  });
+});
+
+describe('createPivotTable formats', () => {
+  it('formats the block the pivot drew, read back after writing it', () => {
+    const { context, Sheets } = dataSheetProject();
+    const gets = [];
+    Sheets.onGet((spreadsheetId, params) => {
+      gets.push(params);
+      const sheetId = 1; // the Pivot sheet created by createPivotTable
+      if (params.ranges) {
+        // Drawn: header, EU, Grand Total (the estimate expects a US row too)
+        const row = (...cells) => ({ values: cells.map(v => (v === '' ? {} : { formattedValue: String(v) })) });
+        return {
+          sheets: [{
+            properties: { sheetId },
+            data: [{ rowData: [row('Region', 'SUM of Amount'), row('EU', 165), row('Grand Total', 165), row(), row('', '', 'notes')] }]
+          }]
+        };
+      }
+      return {
+        sheets: [{
+          properties: { sheetId },
+          conditionalFormats: [
+            { ranges: [{ sheetId, startColumnIndex: 0, endColumnIndex: 1 }] }, // the user's own rule on column A
+            { ranges: [{ sheetId, startRowIndex: 1, endRowIndex: 9, startColumnIndex: 1, endColumnIndex: 2 }] } // last build's scale
+          ]
+        }]
+      };
+    });
+
+    context.createPivotTable({
+      sourceSheet: 'Data', sourceRangeA1: 'A1:F4', destinationSheet: 'Pivot',
+      rows: [{ column: 'Region' }], values: [{ column: 'Amount' }],
+      format: { bandedRows: true, colorScale: true, freezeHeaderRows: true }
+    });
+
+    Sheets.assertCallCount(2);
+    // The estimated 4x2 block plus PIVOT_READ_MARGIN, not the whole sheet
+    assert.deepStrictEqual(gets[0].ranges, ["'Pivot'!A1:L14"]);
+    assert.deepStrictEqual(Sheets.calls[1].requests.map(r => Object.keys(r)[0]),
+      ['deleteConditionalFormatRule', 'addBanding', 'addConditionalFormatRule', 'updateSheetProperties']);
+    assert.strictEqual(Sheets.calls[1].requests[0].deleteConditionalFormatRule.index, 1);
+    Sheets.assertRequest('addBanding', { bandedRange: { range: { startRowIndex: 1, endRowIndex: 3, startColumnIndex: 0, endColumnIndex: 2 } } });
+    Sheets.assertRequest('addConditionalFormatRule', { rule: { ranges: [{ startRowIndex: 1, endRowIndex: 2, startColumnIndex: 1, endColumnIndex: 2 }] } });
+  });
+});
@@ -0,0 +1,364 @@
+/**
+ * In-memory fakes for the Apps Script services PivotTableBuilder.js uses.
+ * - createFakeSpreadsheet: a Spreadsheet with sheets, ranges, getValues/setValues, insertSheet
+ * - createFakeSpreadsheetApp: getActive / openById over fake spreadsheets
+ * - createFakeSheetsService: Sheets.Spreadsheets.batchUpdate/get that record every request
+ *
+ * Only what the project calls is implemented; anything else throws so a test shows what
+ * is missing instead of passing by accident.
+ */
+
+'use strict';
+
+const assert = require('node:assert');
+
+const DEFAULT_MAX_ROWS = 1000;
+const DEFAULT_MAX_COLUMNS = 26;
+
+function letterToIndex(letters) {
+  let n = 0;
+  for (const ch of letters.toUpperCase()) n = n * 26 + (ch.charCodeAt(0) - 64);
+  return n;
+}
+
+function indexToLetter(n) {
+  let s = '';
+  while (n > 0) {
+    const m = (n - 1) % 26;
+    s = String.fromCharCode(65 + m) + s;
+    n = Math.floor((n - 1) / 26);
+  }
+  return s;
+}
+
+/**
+ * Parse "B2", "A1:F", "A1:F10", "3:95" or "A:D" against a sheet's size.
+ * @return {{ row: number, column: number, numRows: number, numColumns: number }} 1-based
+ */
+function parseA1(a1, maxRows, maxColumns) {
+  const part = /^([A-Za-z]*)(\d*)$/;
+  const [from, to = null] = String(a1).trim().split(':');
+  const a = part.exec(from);
+  const b = to == null ? a : part.exec(to);
+  if (!a || !b || (!a[1] && !a[2])) throw new Error(`Range not found: ${a1}`);
+  const startCol = a[1] ? letterToIndex(a[1]) : 1;
+  const startRow = a[2] ? Number(a[2]) : 1;
+  const endCol = b[1] ? letterToIndex(b[1]) : (to == null ? startCol : maxColumns);
+  const endRow = b[2] ? Number(b[2]) : (to == null ? startRow : maxRows);
+  return {
+    row: Math.min(startRow, endRow),
+    column: Math.min(startCol, endCol),
+    numRows: Math.abs(endRow - startRow) + 1,
+    numColumns: Math.abs(endCol - startCol) + 1
+  };
+}
+
+class FakeRange {
+  constructor(sheet, row, column, numRows, numColumns) {
+    if (row < 1 || column < 1 || numRows < 1 || numColumns < 1) {
+      throw new Error(`Invalid range ${row},${column},${numRows},${numColumns}`);
+    }
+    this.sheet = sheet;
+    this.row = row;
+    this.column = column;
+    this.numRows = numRows;
+    this.numColumns = numColumns;
+  }
+
+  getSheet() { return this.sheet; }
+  getRow() { return this.row; }
+  getColumn() { return this.column; }
+  getNumRows() { return this.numRows; }
+  getNumColumns() { return this.numColumns; }
+  getLastRow() { return this.row + this.numRows - 1; }
+  getLastColumn() { return this.column + this.numColumns - 1; }
+
+  getA1Notation() {
+    const start = `${indexToLetter(this.column)}${this.row}`;
+    if (this.numRows === 1 && this.numColumns === 1) return start;
+    return `${start}:${indexToLetter(this.getLastColumn())}${this.getLastRow()}`;
+  }
+
+  getValues() {
+    const out = [];
+    for (let r = 0; r < this.numRows; r++) {
+      const line = [];
+      for (let c = 0; c < this.numColumns; c++) line.push(this.sheet.cell(this.row + r, this.column + c));
+      out.push(line);
+    }
+    return out;
+  }
+
+  getDisplayValues() {
+    return this.getValues().map(line => line.map(v => (v instanceof Date ? v.toISOString().slice(0, 10) : String(v))));
+  }
+
+  getValue() { return this.sheet.cell(this.row, this.column); }
+
+  setValues(values) {
+    assert.strictEqual(values.length, this.numRows, 'setValues row count');
+    values.forEach((line, r) => {
+      assert.strictEqual(line.length, this.numColumns, 'setValues column count');
+      line.forEach((v, c) => this.sheet.setCell(this.row + r, this.column + c, v));
+    });
+    return this;
+  }
+
+  setValue(value) {
+    this.sheet.setCell(this.row, this.column, value);
+    return this;
+  }
+
+  setFormula(formula) { return this.setValue(formula); }
+
+  offset(rowOffset, columnOffset, numRows, numColumns) {
+    return new FakeRange(this.sheet, this.row + rowOffset, this.column + columnOffset,
+      numRows == null ? this.numRows : numRows, numColumns == null ? this.numColumns : numColumns);
+  }
+
+  getDataRegion() {
+    return new FakeRange(this.sheet, this.row, this.column,
+      Math.max(this.sheet.getLastRow() - this.row + 1, 1), Math.max(this.sheet.getLastColumn() - this.column + 1, 1));
+  }
+
+  clearContent() {
+    for (let r = this.row; r <= this.getLastRow(); r++) {
+      for (let c = this.column; c <= this.getLastColumn(); c++) this.sheet.setCell(r, c, '');
+    }
+    return this;
+  }
+}
+
+class FakeSheet {
+  constructor(spreadsheet, name, sheetId, values) {
+    this.spreadsheet = spreadsheet;
+    this.name = name;
+    this.sheetId = sheetId;
+    this.values = (values || []).map(line => line.slice());
+    this.maxRows = Math.max(DEFAULT_MAX_ROWS, this.values.length);
+    this.maxColumns = Math.max(DEFAULT_MAX_COLUMNS, ...this.values.map(line => line.length));
+    this.pivotTables = [];
+    this.hiddenGridlines = false;
+    this.frozenRows = 0;
+    this.columnWidths = {};
+  }
+
+  cell(row, column) {
+    const line = this.values[row - 1];
+    const v = line ? line[column - 1] : undefined;
+    return v == null ? '' : v;
+  }
+
+  setCell(row, column, value) {
+    while (this.values.length < row) this.values.push([]);
+    const line = this.values[row - 1];
+    while (line.length < column) line.push('');
+    line[column - 1] = value;
+  }
+
+  getName() { return this.name; }
+  getSheetId() { return this.sheetId; }
+  getParent() { return this.spreadsheet; }
+  getIndex() { return this.spreadsheet.sheets.indexOf(this) + 1; }
+  getMaxRows() { return this.maxRows; }
+  getMaxColumns() { return this.maxColumns; }
+
+  getLastRow() {
+    for (let r = this.values.length; r > 0; r--) {
+      if (this.values[r - 1].some(v => v !== '' && v != null)) return r;
+    }
+    return 0;
+  }
+
+  getLastColumn() {
+    let max = 0;
+    this.values.forEach(line => {
+      for (let c = line.length; c > max; c--) {
+        if (line[c - 1] !== '' && line[c - 1] != null) { max = c; break; }
+      }
+    });
+    return max;
+  }
+
+  getRange(a1OrRow, column, numRows, numColumns) {
+    if (typeof a1OrRow === 'number') {
+      return new FakeRange(this, a1OrRow, column, numRows == null ? 1 : numRows, numColumns == null ? 1 : numColumns);
+    }
+    const p = parseA1(a1OrRow, this.maxRows, this.maxColumns);
+    return new FakeRange(this, p.row, p.column, p.numRows, p.numColumns);
+  }
+
+  getDataRange() {
+    return new FakeRange(this, 1, 1, Math.max(this.getLastRow(), 1), Math.max(this.getLastColumn(), 1));
+  }
+
+  getPivotTables() { return this.pivotTables; }
+
+  insertRowsAfter(_, howMany) { this.maxRows += howMany; return this; }
+  insertColumnsAfter(_, howMany) { this.maxColumns += howMany; return this; }
+  clearContents() { this.values = []; return this; }
+  appendRow(line) { this.values.push(line.slice()); return this; }
+  activate() { this.spreadsheet.activeSheet = this; return this; }
+  setHiddenGridlines(hidden) { this.hiddenGridlines = !!hidden; return this; }
+  setFrozenRows(rows) { this.frozenRows = rows; return this; }
+
+  setColumnWidths(start, count, width) {
+    for (let c = start; c < start + count; c++) this.columnWidths[c] = width;
+    return this;
+  }
+
+  autoResizeColumns() { return this; }
+}
+
+class FakeSpreadsheet {
+  /**
+   * @param {{ id?: string, name?: string, sheets?: Object<string, Array<Array<*>>>, namedRanges?: Object<string, string> }} spec
+   *   sheets maps sheet names to their values (first sheet is active); namedRanges maps names to "Sheet!A1:B2"
+   */
+  constructor(spec) {
+    const s = spec || {};
+    this.id = s.id || 'fake-spreadsheet';
+    this.name = s.name || 'Fake spreadsheet';
+    this.nextSheetId = 0;
+    this.sheets = Object.keys(s.sheets || { Sheet1: [] })
+      .map(name => new FakeSheet(this, name, this.nextSheetId++, (s.sheets || {})[name]));
+    this.activeSheet = this.sheets[0] || null;
+    this.namedRanges = s.namedRanges || {};
+  }
+
+  getId() { return this.id; }
+  getName() { return this.name; }
+  getSheets() { return this.sheets.slice(); }
+  getActiveSheet() { return this.activeSheet; }
+  getSpreadsheetTimeZone() { return 'Etc/UTC'; }
+  getSheetByName(name) { return this.sheets.find(sh => sh.getName() === name) || null; }
+
+  insertSheet(name, index) {
+    const title = name || `Sheet${this.sheets.length + 1}`;
+    if (this.getSheetByName(title)) throw new Error(`A sheet with the name "${title}" already exists.`);
+    const sheet = new FakeSheet(this, title, this.nextSheetId++, []);
+    this.sheets.splice(index == null ? this.sheets.length : index, 0, sheet);
+    this.activeSheet = sheet;
+    return sheet;
+  }
+
+  getRange(a1) {
+    const m = /^(?:'((?:[^']|'')+)'|([^!]+))!(.+)$/.exec(String(a1));
+    if (!m) return this.activeSheet.getRange(a1);
+    const sheet = this.getSheetByName(m[1] ? m[1].replace(/''/g, "'") : m[2]);
+    if (!sheet) throw new Error(`Range not found: ${a1}`);
+    return sheet.getRange(m[3]);
+  }
+
+  getRangeByName(name) {
+    return this.namedRanges.hasOwnProperty(name) ? this.getRange(this.namedRanges[name]) : null;
+  }
+}
+
+function createFakeSpreadsheet(spec) {
+  return new FakeSpreadsheet(spec);
+}
+
+/**
+ * SpreadsheetApp over fake spreadsheets; the first one is active.
+ */
+function createFakeSpreadsheetApp(...spreadsheets) {
+  const byId = {};
+  spreadsheets.forEach(ss => { byId[ss.getId()] = ss; });
+  return {
+    getActive: () => spreadsheets[0] || null,
+    getActiveSpreadsheet: () => spreadsheets[0] || null,
+    openById: (id) => {
+      if (!byId[id]) throw new Error(`Unexpected error while getting the method or property openById on object SpreadsheetApp.`);
+      return byId[id];
+    },
+    flush: () => {},
+    getUi: () => { throw new Error('No UI in tests.'); }
+  };
+}
+
+/**
+ * Sheets advanced service that records every batchUpdate.
+ *
+ * Recorded payloads are JSON copies made in the test's realm, so they compare with
+ * assert.deepStrictEqual against plain literals. addSheet requests create the sheet in the
+ * matching fake spreadsheet (when one was passed) and reply with its sheetId.
+ */
+function createFakeSheetsService(...spreadsheets) {
+  const calls = [];
+  let getHandler = () => ({ sheets: [] });
+  const byId = {};
+  spreadsheets.forEach(ss => { byId[ss.getId()] = ss; });
+
+  const service = {
+    Spreadsheets: {
+      batchUpdate(body, spreadsheetId) {
+        const copy = JSON.parse(JSON.stringify(body));
+        calls.push({ spreadsheetId, requests: copy.requests || [] });
+        const ss = byId[spreadsheetId];
+        return {
+          replies: (copy.requests || []).map(req => {
+            if (!req.addSheet) return {};
+            const title = req.addSheet.properties.title;
+            const sheetId = ss ? ss.insertSheet(title).getSheetId() : 1000 + calls.length;
+            return { addSheet: { properties: { title, sheetId } } };
+          })
+        };
+      },
+      get(spreadsheetId, params) {
+        return getHandler(spreadsheetId, JSON.parse(JSON.stringify(params || {})));
+      }
+    },
+
+    /** Every batchUpdate call: [{ spreadsheetId, requests }] */
+    calls,
+
+    /** All recorded requests in order, optionally only those of one kind, e.g. 'updateCells'. */
+    requests(kind) {
+      const all = [].concat(...calls.map(c => c.requests));
+      return kind ? all.filter(r => r.hasOwnProperty(kind)) : all;
+    },
+
+    /**
+     * Assert that some recorded request of this kind contains `expected` (a deep partial
+     * match: objects may have extra keys, arrays must match item by item). Returns it.
+     */
+    assertRequest(kind, expected) {
+      const candidates = this.requests(kind).map(r => r[kind]);
+      const found = candidates.find(r => partialMatch(r, expected || {}));
+      if (!found) {
+        assert.fail(`No ${kind} request matches ${JSON.stringify(expected)}.\n` +
+          `Recorded: ${JSON.stringify(this.requests().map(r => Object.keys(r)[0]))}`);
+      }
+      return found;
+    },
+
+    /** Assert the exact number of batchUpdate calls. */
+    assertCallCount(n) {
+      assert.strictEqual(calls.length, n, `Expected ${n} batchUpdate call(s), got ${calls.length}.`);
+    },
+
+    /** Answer Sheets.Spreadsheets.get with fn(spreadsheetId, params). */
+    onGet(fn) { getHandler = fn; },
+
+    reset() { calls.length = 0; }
+  };
+  return service;
+}
+
+function partialMatch(actual, expected) {
+  if (expected === null || typeof expected !== 'object') return actual === expected;
+  if (actual === null || typeof actual !== 'object') return false;
+  if (Array.isArray(expected)) {
+    return Array.isArray(actual) && actual.length === expected.length &&
+      expected.every((e, i) => partialMatch(actual[i], e));
+  }
+  return Object.keys(expected).every(k => partialMatch(actual[k], expected[k]));
+}
+
+module.exports = {
+  createFakeSpreadsheet,
+  createFakeSpreadsheetApp,
+  createFakeSheetsService,
+  parseA1
+};
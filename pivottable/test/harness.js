@@ -0,0 +1,53 @@
+/**
+ * Loads the Apps Script files of this folder into one sandbox, the way Apps Script shares
+ * a single global scope between them, with fake services installed as globals.
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { createFakeSpreadsheet, createFakeSpreadsheetApp, createFakeSheetsService } = require('./fakes');
+
+const PROJECT_DIR = path.join(__dirname, '..');
+const DEFAULT_FILES = ['PivotTableBuilder.js', 'PivotEngine.js'];
+
+/**
+ * @param {{ spreadsheets?: Array<FakeSpreadsheet>, files?: string[], globals?: Object }} options
+ *   spreadsheets: the first one is active (default: one empty spreadsheet)
+ *   files: project files to load, relative to pivottable/
+ *   globals: extra or replacement globals (e.g. a PropertiesService fake)
+ * @return {{ context: Object, Sheets: Object, SpreadsheetApp: Object, logs: string[] }}
+ *   context holds every top-level function of the loaded files
+ */
+function loadProject(options) {
+  const opts = options || {};
+  const spreadsheets = opts.spreadsheets || [createFakeSpreadsheet()];
+  const Sheets = createFakeSheetsService(...spreadsheets);
+  const SpreadsheetApp = createFakeSpreadsheetApp(...spreadsheets);
+  const logs = [];
+
+  const context = vm.createContext(Object.assign({
+    Sheets,
+    SpreadsheetApp,
+    Logger: { log: (msg) => { logs.push(String(msg)); } },
+    console
+  }, opts.globals || {}));
+
+  (opts.files || DEFAULT_FILES).forEach(file => {
+    const filename = path.join(PROJECT_DIR, file);
+    vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+  });
+  return { context, Sheets, SpreadsheetApp, logs };
+}
+
+/**
+ * Copy a value returned from the sandbox into this realm so assert.deepStrictEqual can
+ * compare it with plain literals.
+ */
+function plain(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadProject, plain };
@@ -6,11 +6,9 @@
 // --- CONFIGURATION ---
 const SOURCE_SHEET_NAME = "Weekly log_Thomas W";
 const SNAPSHOT_SHEET_NAME = "Daily Data Snapshot";
-// Column numbers are 0-indexed (Column A = 0)
-const COLUMNS = {
-  CAMPAIGN_ID: 22, CLIENT: 6, PLATFORM: 7, AD_FORMAT: 8, META_BUDGET: 9,
-  CAMPAIGN_TYPE: 12, STATUS: 5, START_DATE: 19, END_DATE: 20
-};
+// Source columns are found by header name (ColumnMapping.js, "Column Mapping" sheet)
+const REQUIRED_FIELDS = ['campaignId', 'client', 'platform', 'adFormat', 'budget', 'campaignType', 'status', 'startDate', 'endDate'];
+const BUDGET_PRORATION = 'even'; // current-month budgets: 'even' | 'weekday' | { mode: 'weekday', weights } (BudgetProration.js)
 // --- END CONFIGURATION ---
 
 // --- CACHE CONFIG ---
@@ -29,12 +27,14 @@ function _getSheetData() {
   const lastRow = sourceSheet.getLastRow();
   if (lastRow <= 1) return { data: [] };
 
-  // Read only the columns we actually use (still returns 0-indexed arrays).
-  const maxCol = Math.max.apply(null, Object.values(COLUMNS));
-  const width = maxCol + 1;
-  const data = sourceSheet.getRange(1, 1, lastRow, width).getValues();
-  data.shift();
-  return { data };
+  // Rows stay 0-indexed arrays; columns maps each field to its index in them.
+  const data = sourceSheet.getRange(1, 1, lastRow, sourceSheet.getLastColumn()).getValues();
+  try {
+    const columns = resolveColumnMapping(data.shift(), REQUIRED_FIELDS, { sheetName: SOURCE_SHEET_NAME });
+    return { data, columns };
+  } catch (e) {
+    return { error: e.message };
+  }
 }
 
 function getDashboardData() {
@@ -46,16 +46,16 @@ function getDashboardData() {
     // ignore cache errors
   }
 
-  const { data, error } = _getSheetData();
+  const { data, columns, error } = _getSheetData();
   if (error) return { error };
 
-  const payload = { charts: processDataForCharts(data) };
+  const payload = { charts: processDataForCharts(data, columns) };
   try { cache.put(CACHE_KEY_DASHBOARD, JSON.stringify(payload), CACHE_EXP_SECONDS); } catch (_) {}
   return payload;
 }
 
 function searchCampaignByType(campaignType) {
-  const { data, error } = _getSheetData();
+  const { data, columns, error } = _getSheetData();
   if (error) return { error };
 
   const needle = String(campaignType || '').trim().toUpperCase();
@@ -71,12 +71,12 @@ function searchCampaignByType(campaignType) {
   }
 
   const results = data
-    .filter(row => row[COLUMNS.CAMPAIGN_TYPE] && String(row[COLUMNS.CAMPAIGN_TYPE]).toUpperCase().includes(needle))
+    .filter(row => row[columns.campaignType] && String(row[columns.campaignType]).toUpperCase().includes(needle))
     .map(row => ({
-      id: row[COLUMNS.CAMPAIGN_ID], client: row[COLUMNS.CLIENT], platform: row[COLUMNS.PLATFORM],
-      campaignType: row[COLUMNS.CAMPAIGN_TYPE], status: row[COLUMNS.STATUS], budget: row[COLUMNS.META_BUDGET],
-      startDate: Utilities.formatDate(new Date(row[COLUMNS.START_DATE]), "GMT", "yyyy-MM-dd"),
-      endDate: Utilities.formatDate(new Date(row[COLUMNS.END_DATE]), "GMT", "yyyy-MM-dd")
+      id: row[columns.campaignId], client: row[columns.client], platform: row[columns.platform],
+      campaignType: row[columns.campaignType], status: row[columns.status], budget: row[columns.budget],
+      startDate: Utilities.formatDate(new Date(row[columns.startDate]), "GMT", "yyyy-MM-dd"),
+      endDate: Utilities.formatDate(new Date(row[columns.endDate]), "GMT", "yyyy-MM-dd")
     }))
 
   const sorted = results.sort((a, b) => new Date(b.startDate) - new Date(a.startDate));
@@ -91,7 +91,7 @@ function invalidateDashboardCache() {
   } catch (_) {}
 }
 
-function processDataForCharts(data) {
+function processDataForCharts(data, columns) {
   const today = new Date();
   const startOfMonth = new Date(today.getFullYear(), today.getMonth(), 1);
   const endOfMonth = new Date(today.getFullYear(), today.getMonth() + 1, 0);
@@ -103,11 +103,11 @@ function processDataForCharts(data) {
   };
 
   for (const row of data) {
-    const client = row[COLUMNS.CLIENT];
-    const platform = row[COLUMNS.PLATFORM];
-    const budget = row[COLUMNS.META_BUDGET];
-    const startDate = new Date(row[COLUMNS.START_DATE]);
-    const endDate = new Date(row[COLUMNS.END_DATE]);
+    const client = row[columns.client];
+    const platform = row[columns.platform];
+    const budget = row[columns.budget];
+    const startDate = new Date(row[columns.startDate]);
+    const endDate = new Date(row[columns.endDate]);
 
     if (!isValidDate(startDate) || !isValidDate(endDate)) continue;
 
@@ -125,14 +125,20 @@ function processDataForCharts(data) {
       }
     }
 
-    // Meta budget in the current month
-    const adFormat = row[COLUMNS.AD_FORMAT];
-    if (startDate <= endOfMonth && endDate >= startOfMonth && adFormat && typeof budget === 'number') {
-      aggregators.monthlyBudget[adFormat] = (aggregators.monthlyBudget[adFormat] || 0) + budget;
+    // Meta budget in the current month: only the share of the budget that falls in it
+    const adFormat = row[columns.adFormat];
+    if (startDate <= endOfMonth && endDate >= startOfMonth && endDate >= startDate && adFormat && typeof budget === 'number') {
+      try {
+        const monthShare = prorateBudgetInWindow(budget, startDate, endDate, startOfMonth, endOfMonth, BUDGET_PRORATION);
+        aggregators.monthlyBudget[adFormat] = (aggregators.monthlyBudget[adFormat] || 0) + monthShare;
+      } catch (e) {
+        // e.g. a campaign longer than BUDGET_PRORATION_MAX_DAYS: leave it out of the budget totals only
+        Logger.log(`Left campaign ${row[columns.campaignId]} out of the monthly budgets: ${e.message}`);
+      }
     }
 
     // Campaign Duration
-    const campaignType = row[COLUMNS.CAMPAIGN_TYPE];
+    const campaignType = row[columns.campaignType];
     if (campaignType) {
       const duration = (endDate - startDate) / 86400000; // ms to days
       aggregators.campaignDurations[campaignType] = (aggregators.campaignDurations[campaignType] || 0) + duration;
@@ -0,0 +1,152 @@
+/**
+ * Column mapping (Apps Script)
+ * - Finds logical fields (client, platform, adFormat, budget, ...) by header name instead of
+ *   fixed column positions, so inserting a column in the source sheet does not shift them.
+ * - Each field has header aliases. Defaults are in COLUMN_ALIASES; rows of the
+ *   "Column Mapping" sheet override them per field.
+ * - Missing required fields fail with one error naming every missing header; a field whose
+ *   names match more than one column fails too, instead of silently using the first.
+ * Copy of pivottable/ColumnMapping.js (separate Apps Script project); keep the two in sync.
+ *
+ * "Column Mapping" sheet:
+ *   Field        | Header names (comma-separated)
+ *   budget       | Meta Budget, Budget (HKD)
+ *
+ * The defaults are the exact headers of "Weekly log_Thomas W" and a few close variants.
+ * Loose names such as "Budget" or "Type" can match an unrelated column, so they are left
+ * to the "Column Mapping" sheet of each spreadsheet.
+ */
+
+const COLUMN_MAPPING_SHEET_NAME = 'Column Mapping';
+
+const COLUMN_ALIASES = {
+  campaignId: ['Campaign ID'],
+  client: ['Client', 'Client Name'],
+  platform: ['Platform'],
+  adFormat: ['Ad Format'],
+  budget: ['Meta Budget'],
+  campaignType: ['Campaign Type'],
+  status: ['Status'],
+  frequency: ['Frequency'],
+  startDate: ['Start Date'],
+  endDate: ['End Date'],
+  remarks: ['Remarks'],
+  guideLink: ['Guide Link']
+};
+
+/**
+ * Field -> header aliases: COLUMN_ALIASES, overridden by the "Column Mapping" sheet if it exists.
+ */
+function getColumnAliases() {
+  const aliases = {};
+  Object.keys(COLUMN_ALIASES).forEach(field => {
+    aliases[field] = COLUMN_ALIASES[field].slice();
+  });
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(COLUMN_MAPPING_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) return aliases;
+
+  sheet.getRange(2, 1, sheet.getLastRow() - 1, 2).getValues().forEach(row => {
+    const field = String(row[0]).trim();
+    const names = String(row[1]).split(',').map(name => name.trim()).filter(Boolean);
+    if (field && names.length) aliases[field] = names;
+  });
+  return aliases;
+}
+
+/**
+ * Create (or reset) the "Column Mapping" sheet with the default aliases, ready to edit.
+ */
+function setupColumnMappingSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(COLUMN_MAPPING_SHEET_NAME) || ss.insertSheet(COLUMN_MAPPING_SHEET_NAME);
+  const rows = [['Field', 'Header names (comma-separated)']].concat(
+    Object.keys(COLUMN_ALIASES).map(field => [field, COLUMN_ALIASES[field].join(', ')]));
+  sheet.clear();
+  sheet.getRange(1, 1, rows.length, 2).setValues(rows);
+  sheet.setFrozenRows(1);
+  sheet.autoResizeColumns(1, 2);
+}
+
+/**
+ * Resolve fields to 0-based column indexes from a header row.
+ *
+ * @param {Array<*>} headerRow
+ * @param {string[]} required fields that must be found
+ * @param {{ optional?: string[], aliases?: Object<string, string[]>, sheetName?: string }=} options
+ *   optional: fields resolved when present (missing ones are left out)
+ *   aliases: default getColumnAliases()
+ *   sheetName: named in the error message
+ * @return {Object<string, number>} field -> 0-based column index
+ */
+function resolveColumnMapping(headerRow, required, options) {
+  const opts = options || {};
+  const aliases = opts.aliases || getColumnAliases();
+  const headers = headerRow.map(normalizeColumnHeader_);
+
+  const columns = {};
+  const missing = [];
+  const ambiguous = [];
+  const find = (field, isRequired) => {
+    const names = aliases[field];
+    if (!names) {
+      if (isRequired) throw new Error(`Unknown field "${field}". Add it to the "${COLUMN_MAPPING_SHEET_NAME}" sheet.`);
+      return;
+    }
+    const wanted = names.map(normalizeColumnHeader_);
+    const matches = [];
+    headers.forEach((header, index) => {
+      if (header && wanted.indexOf(header) !== -1) matches.push(index);
+    });
+    if (matches.length === 1) {
+      columns[field] = matches[0];
+    } else if (matches.length > 1) {
+      ambiguous.push(`${field} matches ${matches.map(i => columnMappingLabel_(headerRow, i)).join(' and ')}`);
+    } else if (isRequired) {
+      missing.push(`${field} (${names.map(name => `"${name}"`).join(' or ')})`);
+    }
+  };
+  required.forEach(field => find(field, true));
+  (opts.optional || []).forEach(field => find(field, false));
+
+  // Two fields on one column (e.g. the same name listed for both in the mapping sheet)
+  const fields = Object.keys(columns);
+  fields.forEach((field, i) => {
+    const other = fields.slice(0, i).find(f => columns[f] === columns[field]);
+    if (other) ambiguous.push(`${other} and ${field} both match ${columnMappingLabel_(headerRow, columns[field])}`);
+  });
+
+  const where = opts.sheetName ? ` in "${opts.sheetName}"` : '';
+  if (missing.length) {
+    throw new Error(`Missing columns${where}: ${missing.join(', ')}. ` +
+      `Rename the headers or add their names to the "${COLUMN_MAPPING_SHEET_NAME}" sheet.`);
+  }
+  if (ambiguous.length) {
+    throw new Error(`Ambiguous columns${where}: ${ambiguous.join('; ')}. ` +
+      `Keep one matching header per field or list the exact header in the "${COLUMN_MAPPING_SHEET_NAME}" sheet.`);
+  }
+  return columns;
+}
+
+/**
+ * Read a sheet's header row (row 1) and resolve the fields; throws if required ones are missing.
+ */
+function checkColumnMapping(sheetName, required, optional) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName);
+  if (!sheet) throw new Error(`Source sheet "${sheetName}" not found.`);
+  const lastCol = sheet.getLastColumn();
+  const headerRow = lastCol ? sheet.getRange(1, 1, 1, lastCol).getValues()[0] : [];
+  return resolveColumnMapping(headerRow, required, { optional, sheetName });
+}
+
+// 'column H ("Client Name")'
+function columnMappingLabel_(headerRow, index) {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + (n - 1) % 26) + letters;
+  }
+  return `column ${letters} ("${String(headerRow[index]).trim()}")`;
+}
+
+function normalizeColumnHeader_(value) {
+  return String(value == null ? '' : value).trim().replace(/\s+/g, ' ').toLowerCase();
+}
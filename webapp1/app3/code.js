@@ -8,13 +8,10 @@ const SOURCE_SHEET_NAME = "Weekly log_Thomas W";
 const PERMISSIONS_SHEET_NAME = "Permissions";
 const SNAPSHOT_SHEET_NAME = "Daily Data Snapshot";
 const MS_PER_DAY = 86400000;
-const COLUMNS = {
-  CAMPAIGN_ID: 22, CLIENT: 6, PLATFORM: 7, AD_FORMAT: 8, META_BUDGET: 9,
-  CAMPAIGN_TYPE: 12, STATUS: 5, START_DATE: 19, END_DATE: 20,
-  REMARKS: 42,
-  GUIDE_LINK: 43
-};
-const ENTRY_COLUMN_INDEX = 43; // Column AQ is the 43rd column
+// Source columns are found by header name (ColumnMapping.js, "Column Mapping" sheet)
+const REQUIRED_FIELDS = ['campaignId', 'client', 'platform', 'adFormat', 'budget', 'campaignType', 'status', 'startDate', 'endDate'];
+const OPTIONAL_FIELDS = ['remarks', 'guideLink'];
+const BUDGET_PRORATION = 'even'; // current-month budgets: 'even' | 'weekday' | { mode: 'weekday', weights } (BudgetProration.js)
 // --- END CONFIGURATION ---
 
 // --- CACHE CONFIG ---
@@ -64,7 +61,7 @@ function getUserRole() {
 }
 
 /**
- * Appends a code to the next empty cell in the entry column (AQ).
+ * Appends a code to the next empty cell in the entry column (the guide link column, found by header).
  * Includes a security check to ensure only admins can perform this action.
  */
 function appendCodeToSheet(code) {
@@ -81,13 +78,16 @@ function appendCodeToSheet(code) {
     const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SOURCE_SHEET_NAME);
     if (!sheet) throw new Error(`Sheet "${SOURCE_SHEET_NAME}" not found.`);
 
-    const columnValues = sheet.getRange(1, ENTRY_COLUMN_INDEX, sheet.getMaxRows(), 1).getValues();
+    // Entries go in the guide link column, found by header like the reads in _getSheetData
+    const headerRow = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+    const entryColumn = resolveColumnMapping(headerRow, ['guideLink'], { sheetName: SOURCE_SHEET_NAME }).guideLink + 1;
+    const columnValues = sheet.getRange(1, entryColumn, sheet.getMaxRows(), 1).getValues();
     let firstEmptyRow = columnValues.findIndex(row => row[0] === '') + 1;
     if (firstEmptyRow === 0) { 
       firstEmptyRow = sheet.getLastRow() + 1;
     }
 
-  sheet.getRange(firstEmptyRow, ENTRY_COLUMN_INDEX).setValue(code);
+  sheet.getRange(firstEmptyRow, entryColumn).setValue(code);
   invalidateDashboardCache();
     
     return { success: true, message: `Code "${code}" submitted to row ${firstEmptyRow}.` };
@@ -113,31 +113,32 @@ function _getSheetData() {
   const lastRow = sourceSheet.getLastRow();
   if (lastRow <= 1) return { data: [] };
 
-  const neededCols = Object.values(COLUMNS);
-  const minCol = Math.min.apply(null, neededCols);
-  const maxCol = Math.max.apply(null, neededCols);
-  const width = maxCol - minCol + 1;
-
-  const rawData = sourceSheet.getRange(2, minCol, lastRow - 1, width).getValues();
+  const rawData = sourceSheet.getRange(1, 1, lastRow, sourceSheet.getLastColumn()).getValues();
+  let columns;
+  try {
+    columns = resolveColumnMapping(rawData.shift(), REQUIRED_FIELDS, { optional: OPTIONAL_FIELDS, sheetName: SOURCE_SHEET_NAME });
+  } catch (e) {
+    return { error: e.message };
+  }
 
   const processedData = [];
   for (let i = 0; i < rawData.length; i++) {
     const row = rawData[i];
-    const off = idx => row[idx - minCol];
-    const startDate = safeDate(off(COLUMNS.START_DATE));
-    const endDate = safeDate(off(COLUMNS.END_DATE));
+    const off = field => (columns[field] == null ? '' : row[columns[field]]);
+    const startDate = safeDate(off('startDate'));
+    const endDate = safeDate(off('endDate'));
     processedData.push({
-      campaignId: off(COLUMNS.CAMPAIGN_ID),
-      client: off(COLUMNS.CLIENT),
-      platform: off(COLUMNS.PLATFORM),
-      adFormat: off(COLUMNS.AD_FORMAT),
-      budget: toNumber(off(COLUMNS.META_BUDGET)),
-      campaignType: off(COLUMNS.CAMPAIGN_TYPE),
-      status: off(COLUMNS.STATUS),
+      campaignId: off('campaignId'),
+      client: off('client'),
+      platform: off('platform'),
+      adFormat: off('adFormat'),
+      budget: toNumber(off('budget')),
+      campaignType: off('campaignType'),
+      status: off('status'),
       startDate: startDate || null,
       endDate: endDate || null,
-      remarks: off(COLUMNS.REMARKS),
-      guideLink: off(COLUMNS.GUIDE_LINK)
+      remarks: off('remarks'),
+      guideLink: off('guideLink')
     });
   }
   return { data: processedData };
@@ -240,6 +241,17 @@ function processDataForCharts(data) {
     const hasBudget = budget != null;
     const sd = row.startDate.getTime();
     const ed = row.endDate.getTime();
+    // Only the share of the budget that falls in this month, not the whole budget
+    let monthShare = null;
+    if (hasBudget && sd <= endOfMonth && ed >= startOfMonth && ed >= sd) {
+      try {
+        monthShare = prorateBudgetInWindow(budget, row.startDate, row.endDate, startOfMonth, endOfMonth, BUDGET_PRORATION);
+      } catch (e) {
+        // e.g. a campaign longer than BUDGET_PRORATION_MAX_DAYS: leave it out of the budget totals only
+        Logger.log(`Left campaign ${row.campaignId} out of the monthly budgets: ${e.message}`);
+        monthShare = null;
+      }
+    }
 
     if (row.status) aggregators.campaignStatus[row.status] = (aggregators.campaignStatus[row.status] || 0) + 1;
 
@@ -251,12 +263,12 @@ function processDataForCharts(data) {
       aggregators.frequencyByClient[key] = (aggregators.frequencyByClient[key] || 0) + budget;
     }
 
-    if (sd <= endOfMonth && ed >= startOfMonth && isNonEmpty(row.adFormat) && hasBudget) {
-      aggregators.monthlyBudget[row.adFormat] = (aggregators.monthlyBudget[row.adFormat] || 0) + budget;
+    if (monthShare != null && isNonEmpty(row.adFormat)) {
+      aggregators.monthlyBudget[row.adFormat] = (aggregators.monthlyBudget[row.adFormat] || 0) + monthShare;
     }
 
-    if (sd <= endOfMonth && ed >= startOfMonth && isNonEmpty(row.client) && hasBudget) {
-      aggregators.monthlyBudgetByClient[row.client] = (aggregators.monthlyBudgetByClient[row.client] || 0) + budget;
+    if (monthShare != null && isNonEmpty(row.client)) {
+      aggregators.monthlyBudgetByClient[row.client] = (aggregators.monthlyBudgetByClient[row.client] || 0) + monthShare;
     }
 
     if (isNonEmpty(row.campaignType)) {